@@ -3,35 +3,23 @@
  * 教育用途を意識して、アルゴリズムの流れや物理更新に関するコメントを多めに入れている。
  */
 
+const { Simulation, clamp } = HurdleSim;
+
+// スナップショットファイルの識別子と形式のバージョン。
+const SNAPSHOT_FILE_FORMAT = 'hurdle-race-snapshot';
+const SNAPSHOT_FILE_VERSION = 2; // 2: 島モデルの個体群を islands に持つ
+
+// 島モデルで島ごとに使う走者とグラフの色。
+const ISLAND_COLORS = ['#2563eb', '#f97316', '#16a34a', '#9333ea', '#db2777', '#0891b2'];
+
 // シミュレーション全体で共有する設定値。ユーザー操作に応じて動的に更新する。
-const config = {
-  populationSize: 50,
-  genomeLength: 80, // 1個体あたりの遺伝子数（時間的な意思決定の数）
-  geneDuration: 10, // 1遺伝子が保持されるフレーム数
-  mutationRate: 0.05,
-  maxGenerations: 200,
-  courseLength: 1000,
-  baseSpeed: 4.2,
-  gravity: 0.6,
-  jumpVelocityMin: 6.4,
-  jumpVelocityMax: 12.5,
-  jumpThreshold: 0.52,
-  jumpCooldownFrames: 18,
-  runnerRadius: 8,
-  groundMargin: 36,
-  hurdleMode: 'random',
-  manualHurdlesText: '150:1.2, 320:1.8, 520:1.5, 740:2.0',
+// 物理・GA の既定値は sim-core.js の DEFAULT_SETTINGS にあり、ここでは描画用の色を加える。
+const config = HurdleSim.createSettings({
   runnerColor: '#2563eb',
   runnerCrashColor: '#ef4444',
   hurdleColor: '#ff6347',
-  hurdleHitColor: '#fb923c',
-  hurdleMinGapFactor: 1.6,
-  hurdleMinGapFactorBase: 1.6,
-  maxHurdleHeightMultiplier: 5
-};
-
-const BASE_RANDOM_HURDLE_DIVISOR = 160;
-const BASE_MANUAL_MIN_MULTIPLIER = 1;
+  hurdleHitColor: '#fb923c'
+});
 
 // シミュレーションの状態を保持する。UI ボタンによる操作もここを参照する。
 const simulationState = {
@@ -39,18 +27,53 @@ const simulationState = {
   halted: false,
   speedMultiplier: 1,
   viewOffset: 0,
-  finalModalShown: false,
-  level: 1,
-  levelBestDistance: 0
+  resultShownGeneration: null, // 最終結果モーダルを表示した世代。再開して別の世代で止まったら改めて表示する
+  turbo: null, // 高速進化の実行中は { worker, target, done, resumeRunning, result } を持つ
+  replay: null, // ゴーストリプレイ中は { index, ghosts, course, wait } を持つ
+  experiment: null, // 実験中は { worker, done, stopRequested, index, simulation } を持つ
+  editor: null, // コース編集中は { entries, selected, drag, originalText } を持つ
+  selected: null // クリックで選択した個体（インスペクターに表示する）
 };
 
+// 同じコースの世代を重ねるときに表示するゴーストの最大数。
+const MAX_REPLAY_GHOSTS = 20;
+
+// 衝突の集計で使う面ごとの色。front は側面、top は上面、bottom は頭上のバーの下面、fall は穴への落下。
+const CRASH_SIDE_COLORS = { front: '#ef4444', top: '#f59e0b', bottom: '#8b5cf6', fall: '#334155' };
+// 上位 N 個体の軌跡を描くときの N の上限。
+const MAX_TRAILS = 20;
+// 障害物ごとの衝突表で推移を並べる世代数。
+const CRASH_TREND_LENGTH = 5;
+// 比較モードで設定 A・B ごとに上書きできる項目の入力欄。options を持つ項目は、その名前の設定欄の選択肢を写して使う。
+const COMPARISON_FIELDS = [
+  { key: 'populationSize', label: '個体数', min: 10, max: 200, step: 5, integer: true },
+  { key: 'mutationRate', label: '突然変異率', min: 0.001, max: 0.2, step: 0.005 },
+  { key: 'mutationType', label: '突然変異ノイズ', options: 'mutationType' },
+  { key: 'mutationSchedule', label: '突然変異率の調整', options: 'mutationSchedule' },
+  { key: 'selectionMethod', label: '選択方式', options: 'selectionMethod' },
+  { key: 'tournamentSize', label: 'トーナメントサイズ', min: 2, max: 20, step: 1, integer: true },
+  { key: 'crossoverMethod', label: '交叉方式', options: 'crossoverMethod' },
+  { key: 'crossoverRate', label: '交叉率', min: 0, max: 1, step: 0.05 },
+  { key: 'replacementMode', label: '世代交代の方式', options: 'replacementMode' },
+  { key: 'nicheMode', label: 'ニッチ保護', options: 'nicheMode' }
+];
+
 // DOM 参照をまとめて保持。イベントリスナー設定時に使う。
 const dom = {};
 
-let population = null;
-let obstacles = [];
+let simulation = null;
 let scoreChart = null;
+let paretoChart = null;
+let paretoFrontPoints = []; // 最新世代のパレートフロント（縦軸の切り替え時に描き直す）
 let canvasHeight = 360;
+let panelTick = 0; // インスペクターやヒートマップの更新を数フレームおきにするためのカウンター
+let crashLog = []; // 世代ごとの障害物別衝突数 { level, crashes }（衝突表の推移・累計に使う）
+let genomeLog = []; // 世代ごとの平均遺伝子（ヒートマップの世代表示に使う）
+let levelMarkers = []; // スコア推移のグラフに描くレベル変更の印 { index, level, up }
+let chartLevel = null; // グラフに最後に加えた世代のレベル
+let islandLog = []; // 島ごとの世代結果 { generation, islands }（比較モードの比較表に使う）
+let experimentChart = null;
+let experimentResults = null; // 直近の実験 { parameters, cells, repetitions, baseSeed, runs, results }（表・グラフ・CSV に使う）
 
 /**
  * DOM が利用可能になったタイミングで UI を初期化する。
@@ -59,13 +82,9 @@ window.addEventListener('DOMContentLoaded', () => {
   cacheDomElements();
   initControls();
   initScoreChart();
-  updateManualHurdleVisibility();
-  updateMutationLabel(config.mutationRate);
-  if (dom.runnerColor) dom.runnerColor.value = config.runnerColor;
-  if (dom.runnerCrashColor) dom.runnerCrashColor.value = config.runnerCrashColor;
-  if (dom.hurdleColor) dom.hurdleColor.value = config.hurdleColor;
-  if (dom.hurdleHitColor) dom.hurdleHitColor.value = config.hurdleHitColor;
-  if (dom.manualHurdles) dom.manualHurdles.value = config.manualHurdlesText;
+  initParetoChart();
+  initExperimentChart();
+  syncControlsFromConfig();
   updateButtonStates();
   updateLevelDisplay();
 });
@@ -102,41 +121,135 @@ function windowResized() {
 function draw() {
   background(232, 240, 255);
 
-  if (!population) {
+  if (!simulation) {
+    return;
+  }
+
+  if (simulationState.editor) {
+    drawEditor();
+    return;
+  }
+
+  if (simulationState.replay) {
+    drawReplay();
     return;
   }
 
-  // カメラのオフセットを、先頭付近の個体を追尾するように滑らかに更新する。
-  const leader = population.getLeader();
+  // カメラのオフセットを、先頭付近の個体（ロック中は選択した個体）を追尾するように滑らかに更新する。
+  const leader = getCameraTarget();
   const targetOffset = leader
     ? constrain(leader.x - width * 0.3, 0, config.courseLength - width + 120)
     : 0;
   simulationState.viewOffset = lerp(simulationState.viewOffset, targetOffset, 0.08);
 
-  drawCourse();
+  const showCrashes = Boolean(dom.crashOverlay && dom.crashOverlay.checked);
+  const lanes = isLaneView();
+  if (!lanes) {
+    const crashes = showCrashes ? HurdleSim.countCrashes(simulation.getAllIndividuals(), simulation.obstacles) : null;
+    drawCourse(simulation.obstacles, crashes, getCourseFrame(simulation.getAllIndividuals()));
+  }
 
-  if (simulationState.running && !simulationState.halted) {
+  if (simulationState.running && !simulationState.halted && !simulationState.turbo) {
     const steps = Math.max(1, Math.round(simulationState.speedMultiplier));
-    for (let i = 0; i < steps; i++) {
-      population.update(obstacles);
+    for (let i = 0; i < steps && !simulationState.halted; i++) {
+      simulation.step();
     }
   }
 
-  population.render(simulationState.viewOffset);
+  if (lanes) {
+    drawComparisonLanes(showCrashes);
+  } else {
+    getTrailRunners().forEach(individual => {
+      const islandIndex = simulation.islands.findIndex(island => island.individuals.includes(individual));
+      drawTrail(individual, simulationState.viewOffset, islandIndex >= 0 ? getIslandColor(islandIndex) : config.runnerColor);
+    });
 
-  updateDashboard(
-    population.stats.averageDistance,
-    population.stats.bestDistance,
-    population.stats.dropouts
-  );
+    simulation.islands.forEach((island, index) => {
+      drawPopulation(island, simulationState.viewOffset, getIslandColor(index));
+    });
+  }
+
+  if (!simulationState.turbo) {
+    const stats = simulation.getCombinedStats();
+    updateDashboard(stats.averageDistance, stats.bestDistance, stats.dropouts);
+  }
+
+  panelTick += 1;
+  if (simulationState.selected && panelTick % 6 === 0) {
+    updateInspector();
+  }
+  if (panelTick % 30 === 0 && dom.heatmapView && dom.heatmapView.value === 'population') {
+    drawGenomeHeatmap();
+  }
 
   drawOverlayText();
 }
 
 /**
- * 道路とハードルなどのコース描画。
+ * 比較モードを 2 レーンで表示しているか。
+ */
+function isLaneView() {
+  return Boolean(config.comparisonMode && simulation.islands.length > 1 && dom.comparisonView && dom.comparisonView.value === 'lanes');
+}
+
+/**
+ * 2 レーン表示で島 index のレーンを描くときの縦のずらし量。最後の島のレーンがキャンバスの下端に来る。
+ */
+function getLaneShift(index) {
+  const count = simulation.islands.length;
+  return (index - count + 1) * (height / count);
+}
+
+/**
+ * 比較モードの 2 レーン表示。設定 A・B の個体群を上下のレーンに分け、同じコースをそれぞれのレーンに描いて走らせる。
+ * 衝突数の棒や動くハードルの時刻も、レーンの個体群だけで決める。
+ */
+function drawComparisonLanes(showCrashes) {
+  const offset = simulationState.viewOffset;
+  const laneHeight = height / simulation.islands.length;
+  const trailRunners = getTrailRunners();
+  simulation.islands.forEach((island, index) => {
+    const laneTop = index * laneHeight;
+    const color = getIslandColor(index);
+    push();
+    // レーンの外へはみ出す頭上のバーや高いジャンプを切り取る（pop() で元に戻る）。
+    drawingContext.beginPath();
+    drawingContext.rect(0, laneTop, width, laneHeight);
+    drawingContext.clip();
+    translate(0, getLaneShift(index));
+    const crashes = showCrashes ? HurdleSim.countCrashes(island.individuals, simulation.obstacles) : null;
+    drawCourse(simulation.obstacles, crashes, getCourseFrame(island.individuals), island.individuals.length);
+    trailRunners
+      .filter(individual => island.individuals.includes(individual))
+      .forEach(individual => drawTrail(individual, offset, color));
+    drawPopulation(island, offset, color);
+    pop();
+
+    noStroke();
+    fill(color);
+    textSize(13);
+    textAlign(RIGHT, TOP);
+    text(island.name, width - 12, laneTop + 8);
+    if (index > 0) {
+      stroke(148, 163, 184);
+      strokeWeight(1);
+      line(0, laneTop, width, laneTop);
+    }
+  });
+}
+
+/**
+ * コース上の経過フレーム数（動くハードルの高さを決める時刻）。走り終えた個体は数えるのを止めるので、最も長く走っている個体に合わせる。
+ */
+function getCourseFrame(runners) {
+  return runners.reduce((frame, runner) => Math.max(frame, runner.elapsedFrames), 0);
+}
+
+/**
+ * 道路とハードルなどのコース描画。crashes を渡すと、障害物ごとの衝突数を上に棒で重ねる。
+ * frame は動くハードルの高さを決める経過フレーム数。runnerCount は衝突数の棒の長さの基準にする個体数（省略時は全個体）。
  */
-function drawCourse() {
+function drawCourse(obstacles, crashes, frame, runnerCount) {
   const groundY = height - config.groundMargin;
   const offset = simulationState.viewOffset;
 
@@ -159,15 +272,18 @@ function drawCourse() {
     text(`${marker}`, screenX, groundY + 14);
   }
 
-  // ハードル
+  // 障害物
   noStroke();
   obstacles.forEach(obstacle => {
     const left = obstacle.x - offset;
     if (left + obstacle.width < -40 || left > width + 40) return;
-    fill(obstacle.hit ? config.hurdleHitColor : config.hurdleColor);
-    rect(left, groundY - obstacle.height, obstacle.width, obstacle.height, 3);
+    drawObstacle(obstacle, left, groundY, frame || 0);
   });
 
+  if (crashes) {
+    drawCrashBars(crashes, groundY, offset, runnerCount);
+  }
+
   // ゴールライン
   const goalX = config.courseLength - offset;
   stroke(34, 197, 94);
@@ -181,193 +297,2246 @@ function drawCourse() {
 }
 
 /**
- * 画面左上に簡単なヘルプを表示する。
+ * 障害物を種類ごとに描く。穴は地面の切れ目、頭上のバーは下端より上を塞ぐ板、動くハードルは今の高さ（点線は最も高いとき）。
  */
-function drawOverlayText() {
-  fill(30, 41, 59, 180);
-  noStroke();
-  textSize(13);
-  textAlign(LEFT, TOP);
-  const status = simulationState.running && !simulationState.halted ? '実行中' : '一時停止中';
-  text(
-    `ステータス: ${status}\nシミュレーション速度: ${simulationState.speedMultiplier.toFixed(1)}x\nレベル: ${simulationState.level}`,
-    12,
-    12
-  );
+function drawObstacle(obstacle, left, groundY, frame) {
+  const bodyColor = obstacle.hit ? config.hurdleHitColor : config.hurdleColor;
+  if (obstacle.type === 'pit') {
+    fill(232, 240, 255);
+    rect(left, groundY - 2, obstacle.width, 4);
+    fill(obstacle.hit ? config.hurdleHitColor : color(51, 65, 85));
+    rect(left, groundY + 2, obstacle.width, config.groundMargin - 6, 0, 0, 3, 3);
+  } else if (obstacle.type === 'bar') {
+    fill(bodyColor);
+    rect(left, 0, obstacle.width, groundY - obstacle.height, 0, 0, 3, 3);
+    fill(30, 41, 59, 120);
+    rect(left, groundY - obstacle.height - 4, obstacle.width, 4);
+  } else if (obstacle.type === 'moving') {
+    const current = HurdleSim.getObstacleHeight(obstacle, frame);
+    push();
+    noFill();
+    stroke(bodyColor);
+    drawingContext.setLineDash([3, 3]);
+    rect(left, groundY - obstacle.height, obstacle.width, obstacle.height, 3);
+    drawingContext.setLineDash([]);
+    pop();
+    fill(bodyColor);
+    rect(left, groundY - current, obstacle.width, current, 3);
+  } else {
+    fill(bodyColor);
+    rect(left, groundY - obstacle.height, obstacle.width, obstacle.height, 3);
+  }
 }
 
 /**
- * すべての UI の DOM 要素をキャッシュしておく。
+ * 障害物 1 つの衝突数の合計（面の種類は障害物の種類によって違う）。
  */
-function cacheDomElements() {
-  dom.populationSize = document.getElementById('population-size');
-  dom.maxGenerations = document.getElementById('max-generations');
-  dom.mutationRate = document.getElementById('mutation-rate');
-  dom.mutationLabel = document.getElementById('mutation-rate-label');
-  dom.courseLength = document.getElementById('course-length');
-  dom.hurdleMode = document.getElementById('hurdle-mode');
-  dom.manualHurdleGroup = document.getElementById('manual-hurdle-group');
-  dom.manualHurdles = document.getElementById('manual-hurdles');
-  dom.simulationSpeed = document.getElementById('simulation-speed');
-  dom.togglePlay = document.getElementById('toggle-play');
-  dom.nextGeneration = document.getElementById('next-generation');
-  dom.stopSimulation = document.getElementById('stop-simulation');
-  dom.resetSimulation = document.getElementById('reset-simulation');
-  dom.runnerColor = document.getElementById('runner-color');
-  dom.runnerCrashColor = document.getElementById('runner-crash-color');
-  dom.hurdleColor = document.getElementById('hurdle-color');
-  dom.hurdleHitColor = document.getElementById('hurdle-hit-color');
-  dom.currentLevel = document.getElementById('current-level');
-
-  dom.currentGeneration = document.getElementById('current-generation');
-  dom.averageDistance = document.getElementById('average-distance');
-  dom.bestDistance = document.getElementById('best-distance');
-  dom.dropoutCount = document.getElementById('dropout-count');
-  dom.resultModal = document.getElementById('result-modal');
-  dom.resultMessage = document.getElementById('result-message');
-  dom.closeModal = document.getElementById('close-modal');
+function sumCrashes(crash) {
+  return Object.keys(CRASH_SIDE_COLORS).reduce((acc, side) => acc + (crash[side] || 0), 0);
 }
 
 /**
- * UI とシミュレーションの橋渡しを行うイベントリスナーの設定。
+ * 障害物の上に、この世代で衝突した個体の数を面別に積み上げた棒で描く。棒の長さは runnerCount（省略時は全個体数）に対する割合。
  */
-function initControls() {
-  // 入力値の変更が遺伝的アルゴリズムに即座に反映されるようにする。
-  dom.populationSize.addEventListener('change', () => {
-    const value = clamp(parseInt(dom.populationSize.value, 10) || config.populationSize, 10, 200);
-    dom.populationSize.value = value;
-    config.populationSize = value;
-    resetSimulation();
+function drawCrashBars(crashes, groundY, offset, runnerCount) {
+  const total = Math.max(1, runnerCount || simulation.getAllIndividuals().length);
+  textSize(10);
+  textAlign(CENTER, BOTTOM);
+  crashes.forEach(crash => {
+    const count = sumCrashes(crash);
+    const left = crash.x - offset;
+    if (count === 0 || left < -40 || left > width + 40) return;
+    const barWidth = 8;
+    const barX = left - barWidth / 2 + 6;
+    // 穴と頭上のバーは地面のすぐ上から積み上げる。
+    let barTop = groundY - (crash.type === 'pit' || crash.type === 'bar' ? 0 : crash.height) - 6;
+    noStroke();
+    Object.keys(CRASH_SIDE_COLORS).forEach(side => {
+      if (!crash[side]) return;
+      const barHeight = (crash[side] / total) * 80;
+      fill(CRASH_SIDE_COLORS[side]);
+      rect(barX, barTop - barHeight, barWidth, barHeight);
+      barTop -= barHeight;
+    });
+    fill(71, 85, 105);
+    text(count, barX + barWidth / 2, barTop - 2);
   });
+}
 
-  dom.maxGenerations.addEventListener('change', () => {
-    const value = clamp(parseInt(dom.maxGenerations.value, 10) || config.maxGenerations, 10, 1000);
-    dom.maxGenerations.value = value;
-    config.maxGenerations = value;
-  });
+/**
+ * 軌跡を描く個体。先頭・選択中・上位 N 個体のいずれかを trail-mode で選ぶ。
+ */
+function getTrailRunners() {
+  const mode = dom.trailMode ? dom.trailMode.value : 'none';
+  if (mode === 'leader') {
+    const leader = simulation.getLeader();
+    return leader ? [leader] : [];
+  }
+  if (mode === 'selected') {
+    return simulationState.selected ? [simulationState.selected] : [];
+  }
+  if (mode === 'top') {
+    const count = clamp(parseInt(dom.trailCount.value, 10) || 5, 1, MAX_TRAILS);
+    return [...simulation.getAllIndividuals()].sort((a, b) => b.x - a.x).slice(0, count);
+  }
+  return [];
+}
 
-  dom.mutationRate.addEventListener('input', () => {
-    const value = parseFloat(dom.mutationRate.value);
-    config.mutationRate = value;
-    updateMutationLabel(value);
+/**
+ * 個体の軌跡を折れ線で描き、踏み切り（▲）と着地（●）の位置に印を付ける。
+ * 踏み切りの下にはジャンプの強さ（遺伝子値を 0〜1 に正規化した値）を表示し、ハードルの高さと弧の形を見比べられるようにする。
+ */
+function drawTrail(individual, offset, trailColor) {
+  const groundY = height - config.groundMargin;
+  const visible = individual.trail.filter(point => point.x >= offset - 20 && point.x <= offset + width + 20);
+  const lineColor = color(trailColor);
+  lineColor.setAlpha(160);
+  push();
+  if (visible.length > 1) {
+    noFill();
+    stroke(lineColor);
+    strokeWeight(1.5);
+    beginShape();
+    visible.forEach(point => vertex(point.x - offset, groundY - point.y));
+    endShape();
+  }
+  noStroke();
+  textSize(9);
+  textAlign(CENTER, TOP);
+  individual.jumpEvents.forEach(jump => {
+    const x = jump.x - offset;
+    if (x < -20 || x > width + 20) return;
+    const y = groundY - individual.radius;
+    fill(22, 163, 74);
+    triangle(x - 4, y + 4, x + 4, y + 4, x, y - 4);
+    text(`${Math.round(jump.power * 100)}%`, x, groundY + 2);
   });
-
-  dom.courseLength.addEventListener('change', () => {
-    const value = clamp(parseInt(dom.courseLength.value, 10) || config.courseLength, 400, 3000);
-    dom.courseLength.value = value;
-    config.courseLength = value;
-    resetSimulation();
+  fill(37, 99, 235);
+  individual.landingEvents.forEach(landing => {
+    const x = landing.x - offset;
+    if (x < -20 || x > width + 20) return;
+    circle(x, groundY - individual.radius, 6);
   });
+  pop();
+}
 
-  dom.hurdleMode.addEventListener('change', () => {
-    config.hurdleMode = dom.hurdleMode.value;
-    updateManualHurdleVisibility();
-    if (config.hurdleMode === 'manual') {
-      config.manualHurdlesText = dom.manualHurdles.value.trim();
-    }
-    resetObstacles();
-    resetSimulation();
-  });
+/**
+ * 個体群を描画する。color は走行中の個体の色。
+ */
+function drawPopulation(population, offset, color) {
+  population.individuals.forEach(individual => drawRunner(individual, offset, color));
+}
 
-  dom.manualHurdles.addEventListener('blur', () => {
-    if (config.hurdleMode !== 'manual') return;
-    config.manualHurdlesText = dom.manualHurdles.value.trim();
-    resetObstacles();
-    resetSimulation();
-  });
+/**
+ * 島の色。島が 1 つのときは設定された走者の色を使う。
+ */
+function getIslandColor(index) {
+  return simulation && simulation.islands.length > 1 ? ISLAND_COLORS[index % ISLAND_COLORS.length] : config.runnerColor;
+}
 
-  dom.simulationSpeed.addEventListener('change', () => {
-    simulationState.speedMultiplier = parseFloat(dom.simulationSpeed.value);
-  });
+/**
+ * p5.js を用いて個体を描画する。ワールド座標の高さを画面の y 座標へ変換する。
+ */
+function drawRunner(individual, offset, color) {
+  const screenX = individual.x - offset;
+  if (screenX < -40 || screenX > width + 40) return;
 
-  dom.togglePlay.addEventListener('click', () => {
-    if (simulationState.halted) {
-      simulationState.halted = false;
-    }
-    simulationState.running = !simulationState.running;
-    updateButtonStates();
-  });
+  const groundY = height - config.groundMargin;
+  push();
+  noStroke();
+  if (individual.crashed) {
+    fill(config.runnerCrashColor);
+  } else {
+    fill(color || config.runnerColor);
+  }
+  circle(screenX, groundY - individual.y, individual.radius * 2);
+  if (individual === simulationState.selected) {
+    noFill();
+    stroke(15, 23, 42);
+    strokeWeight(2);
+    circle(screenX, groundY - individual.y, individual.radius * 2 + 8);
+  }
+  pop();
+}
 
-  dom.nextGeneration.addEventListener('click', () => {
-    if (!population) return;
-    population.forceAdvance();
-    updateDashboard(population.stats.averageDistance, population.stats.bestDistance, population.stats.dropouts);
+/**
+ * p5.js のクリック処理。クリックした位置に最も近い走者を選択する。
+ */
+function mousePressed() {
+  if (!simulation || simulationState.replay) return;
+  if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
+  if (simulationState.editor) {
+    pressEditor();
+    return;
+  }
+  const lanes = isLaneView();
+  let nearest = null;
+  let nearestDistance = Infinity;
+  simulation.islands.forEach((island, index) => {
+    // 2 レーン表示では、島ごとにレーンの地面の位置が違う。
+    const groundY = height - config.groundMargin + (lanes ? getLaneShift(index) : 0);
+    island.individuals.forEach(individual => {
+      const d = dist(mouseX, mouseY, individual.x - simulationState.viewOffset, groundY - individual.y);
+      if (d <= individual.radius + 6 && d < nearestDistance) {
+        nearest = individual;
+        nearestDistance = d;
+      }
+    });
   });
+  if (nearest) {
+    selectRunner(nearest);
+  }
+}
 
-  dom.stopSimulation.addEventListener('click', () => {
-    simulationState.running = false;
-    simulationState.halted = true;
-    updateButtonStates();
-  });
+/**
+ * カメラが追う個体。ロック中で、選択した個体が今の世代にいればその個体、それ以外は先頭の個体。
+ */
+function getCameraTarget() {
+  const selected = simulationState.selected;
+  if (dom.cameraLock && dom.cameraLock.checked && selected && isInCurrentGeneration(selected)) {
+    return selected;
+  }
+  return simulation.getLeader();
+}
 
-  dom.resetSimulation.addEventListener('click', () => {
-    resetSimulation();
-  });
+/**
+ * 個体が現在の世代の個体群に含まれているか。
+ */
+function isInCurrentGeneration(individual) {
+  return simulation.islands.some(island => island.individuals.includes(individual));
+}
 
-  if (dom.runnerColor) {
-    dom.runnerColor.addEventListener('input', () => {
-      config.runnerColor = dom.runnerColor.value;
-    });
+/**
+ * 個体を選択してインスペクターに表示する。null で選択を解除する。
+ */
+function selectRunner(individual) {
+  simulationState.selected = individual;
+  if (dom.inspectorBody) {
+    dom.inspectorBody.hidden = !individual;
+    dom.inspectorEmpty.hidden = Boolean(individual);
   }
+  if (individual) updateInspector();
+}
 
-  if (dom.runnerCrashColor) {
-    dom.runnerCrashColor.addEventListener('input', () => {
-      config.runnerCrashColor = dom.runnerCrashColor.value;
-    });
+/**
+ * 選択中の個体の状態をインスペクターに書き出す。
+ */
+function updateInspector() {
+  const individual = simulationState.selected;
+  if (!individual || !dom.inspectorBody) return;
+  const current = isInCurrentGeneration(individual);
+  dom.inspectorId.textContent = current ? individual.id : `${individual.id}（前の世代の個体）`;
+  let status = '走行中';
+  if (individual.success) status = `完走（${individual.elapsedFrames} フレーム）`;
+  else if (individual.crashed) status = `衝突（${individual.elapsedFrames} フレーム目）`;
+  else if (individual.finished) status = '時間切れ';
+  dom.inspectorStatus.textContent = status;
+  dom.inspectorDistance.textContent = `${individual.distance.toFixed(1)} m`;
+  dom.inspectorHit.textContent = individual.hitObstacleId != null ? individual.hitObstacleId : 'なし';
+  dom.inspectorOrigin.textContent = describeOrigin(individual);
+  dom.inspectorJumps.innerHTML = '';
+  individual.jumpEvents.forEach(event => {
+    const item = document.createElement('li');
+    item.textContent = `${event.frame} フレーム目・x = ${event.x.toFixed(1)}・強さ ${(event.power * 100).toFixed(0)}%`;
+    dom.inspectorJumps.appendChild(item);
+  });
+  if (individual.jumpEvents.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'まだジャンプしていません';
+    dom.inspectorJumps.appendChild(item);
   }
+  drawGenomeStrip(individual);
+}
 
-  if (dom.hurdleColor) {
-    dom.hurdleColor.addEventListener('input', () => {
-      config.hurdleColor = dom.hurdleColor.value;
-    });
+/**
+ * 個体の由来と親を文章にする。
+ */
+function describeOrigin(individual) {
+  const parent = info => `${info.id}（${info.distance.toFixed(1)} m）`;
+  const parents = individual.parents;
+  switch (individual.origin) {
+    case 'elite':
+      return `エリート：${parent(parents[0])} をそのまま引き継ぎ`;
+    case 'survivor':
+      return `クラウディングで子に勝ち残った ${parent(parents[0])}`;
+    case 'migrant':
+      return `移住：${parent(parents[0])} から`;
+    case 'offspring':
+      return `子：${parents.map(parent).join(' × ')}`;
+    case 'restored':
+      return 'スナップショットから復元（親は不明）';
+    default:
+      return '初期個体（乱数で生成）';
   }
+}
 
-  if (dom.hurdleHitColor) {
-    dom.hurdleHitColor.addEventListener('input', () => {
-      config.hurdleHitColor = dom.hurdleHitColor.value;
-    });
+/**
+ * 遺伝子を棒グラフの帯として描く。timeline 型ではジャンプ閾値を超える遺伝子を強調し、実行中の遺伝子に印を付ける。
+ */
+function drawGenomeStrip(individual) {
+  const canvas = dom.inspectorGenome;
+  const ctx = canvas.getContext('2d');
+  canvas.width = canvas.clientWidth || 600;
+  const timeline = !individual.network;
+  const genome = individual.genome;
+  const barWidth = canvas.width / genome.length;
+  const barHeight = canvas.height - 4;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  genome.forEach((gene, index) => {
+    const emphasized = timeline ? gene > config.jumpThreshold : gene > 0.5;
+    ctx.fillStyle = emphasized ? '#f97316' : '#94a3b8';
+    ctx.fillRect(index * barWidth, canvas.height - gene * barHeight, Math.max(1, barWidth - 1), gene * barHeight);
+  });
+  if (timeline) {
+    const thresholdY = canvas.height - config.jumpThreshold * barHeight;
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.35)';
+    ctx.beginPath();
+    ctx.moveTo(0, thresholdY);
+    ctx.lineTo(canvas.width, thresholdY);
+    ctx.stroke();
+    if (individual.currentGeneIndex >= 0) {
+      ctx.strokeStyle = '#dc2626';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(individual.currentGeneIndex * barWidth, 1, barWidth, canvas.height - 2);
+    }
   }
+  dom.inspectorGenomeLabel.textContent = timeline
+    ? `遺伝子（${genome.length} 個・橙はジャンプ閾値超え・赤枠は実行中の遺伝子 #${individual.currentGeneIndex + 1}）`
+    : `遺伝子（ニューラルネットワークの重み ${genome.length} 個・橙は正の重み）`;
+}
 
-  if (dom.closeModal) {
-    dom.closeModal.addEventListener('click', hideResultModal);
-  }
+/**
+ * 遺伝子値の色。pivot（timeline 型ではジャンプ閾値）以上は橙、未満は青で、pivot から離れるほど濃くする。
+ */
+function getGeneColor(value, pivot) {
+  const above = value >= pivot;
+  const t = above ? (value - pivot) / Math.max(1e-6, 1 - pivot) : (pivot - value) / Math.max(1e-6, pivot);
+  const [r, g, b] = above ? [234, 88, 12] : [30, 64, 175];
+  const mix = channel => Math.round(255 + (channel - 255) * clamp(t, 0, 1));
+  return `rgb(${mix(r)}, ${mix(g)}, ${mix(b)})`;
+}
 
-  if (dom.resultModal) {
-    dom.resultModal.addEventListener('click', event => {
-      if (event.target === dom.resultModal) {
-        hideResultModal();
-      }
+/**
+ * 遺伝子ヒートマップを描く。1 行が 1 個体（到達距離の長い順）または 1 世代の平均遺伝子、1 列が 1 遺伝子。
+ * timeline 型ではハードルに差しかかるころの遺伝子の位置に縦線を引き、ハードル手前で学んだジャンプのタイミングを見られるようにする。
+ */
+function drawGenomeHeatmap() {
+  const canvas = dom.genomeHeatmap;
+  if (!canvas || !simulation) return;
+  const ctx = canvas.getContext('2d');
+  canvas.width = canvas.clientWidth || 600;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const timeline = config.genomeType !== 'neural';
+  const pivot = timeline ? config.jumpThreshold : 0.5;
+  const history = dom.heatmapView.value === 'history';
+  const rows = history
+    ? genomeLog
+    : simulation.getAllIndividuals().slice().sort((a, b) => b.distance - a.distance).map(individual => individual.genome);
+  if (!rows.length) {
+    dom.heatmapCaption.textContent = history ? 'まだ世代の記録がありません。' : '';
+    return;
+  }
+  const columns = rows[0].length;
+  const cellWidth = canvas.width / columns;
+  const cellHeight = canvas.height / rows.length;
+  rows.forEach((genome, row) => {
+    genome.forEach((gene, column) => {
+      ctx.fillStyle = getGeneColor(gene, pivot);
+      ctx.fillRect(column * cellWidth, row * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+    });
+  });
+  if (timeline) {
+    // 平均的な速さ（baseSpeed）で走ったときに、その障害物へ差しかかる遺伝子の位置。
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.6)';
+    ctx.setLineDash([4, 3]);
+    simulation.obstacles.forEach(obstacle => {
+      const geneIndex = obstacle.x / (config.baseSpeed * config.geneDuration);
+      const x = geneIndex * cellWidth;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, canvas.height);
+      ctx.stroke();
     });
+    ctx.setLineDash([]);
   }
+  const rowLabel = history ? `縦軸は世代（上が第1世代・${rows.length} 世代分）` : `縦軸は個体（上ほど到達距離が長い・${rows.length} 個体）`;
+  dom.heatmapCaption.textContent = timeline
+    ? `横軸は遺伝子 ${columns} 個（左がスタート）、${rowLabel}。橙はジャンプ閾値 ${config.jumpThreshold} 以上で濃いほど強いジャンプ、青は閾値未満。点線は今のコースの障害物に差しかかる位置。`
+    : `横軸はニューラルネットワークの重み ${columns} 個、${rowLabel}。橙は 0.5（重み 0）より大きい値、青は小さい値。`;
 }
 
 /**
- * Chart.js を用いたスコア推移の初期化。
+ * ゴーストリプレイの描画。殿堂入りの記録を再シミュレーションし、半透明のゴーストとして走らせる。
+ * すべてのゴーストが走り終えたら少し待って最初から繰り返す。
  */
-function initScoreChart() {
-  const ctx = document.getElementById('score-chart').getContext('2d');
-  scoreChart = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels: [],
-      datasets: [
+function drawReplay() {
+  const replay = simulationState.replay;
+  const steps = Math.max(1, Math.round(simulationState.speedMultiplier));
+  for (let i = 0; i < steps; i++) {
+    stepReplay(replay);
+  }
+
+  const main = replay.ghosts[replay.ghosts.length - 1].runner;
+  const targetOffset = constrain(main.x - width * 0.3, 0, config.courseLength - width + 120);
+  simulationState.viewOffset = lerp(simulationState.viewOffset, targetOffset, 0.08);
+  drawCourse(replay.course, null, getCourseFrame(replay.ghosts.map(ghost => ghost.runner)));
+  if (dom.trailMode && dom.trailMode.value !== 'none') {
+    drawTrail(replay.ghosts[replay.ghosts.length - 1].runner, simulationState.viewOffset, config.runnerColor);
+  }
+
+  const groundY = height - config.groundMargin;
+  const ghostColor = color(config.runnerColor);
+  replay.ghosts.forEach((ghost, index) => {
+    const runner = ghost.runner;
+    const screenX = runner.x - simulationState.viewOffset;
+    if (screenX < -40 || screenX > width + 40) return;
+    const isMain = index === replay.ghosts.length - 1;
+    // 古い世代ほど薄く描き、再生中の世代は輪郭と世代番号を付けて目立たせる。
+    ghostColor.setAlpha(isMain ? 170 : 40 + (110 * (index + 1)) / replay.ghosts.length);
+    push();
+    if (isMain) {
+      stroke(30, 41, 59);
+      strokeWeight(1.5);
+    } else {
+      noStroke();
+    }
+    fill(runner.crashed ? config.runnerCrashColor : ghostColor);
+    circle(screenX, groundY - runner.y, runner.radius * 2);
+    if (isMain || replay.ghosts.length <= 6) {
+      noStroke();
+      fill(30, 41, 59, isMain ? 220 : 140);
+      textSize(10);
+      textAlign(CENTER, BOTTOM);
+      text(`第${ghost.entry.generation}世代`, screenX, groundY - runner.y - runner.radius - 2);
+    }
+    pop();
+  });
+
+  const entry = simulation.hallOfFame[replay.index];
+  fill(30, 41, 59, 180);
+  noStroke();
+  textSize(13);
+  textAlign(LEFT, TOP);
+  let overlay = `ゴーストリプレイ: 第${entry.generation}世代の最良（レベル${entry.level}・${entry.distance.toFixed(1)} m）`;
+  if (replay.ghosts.length > 1) {
+    overlay += `\n同じコースを走った ${replay.ghosts.length} 世代を重ねて表示中`;
+  }
+  text(overlay, 12, 12);
+}
+
+/**
+ * リプレイを 1 フレーム進める。
+ */
+function stepReplay(replay) {
+  let running = false;
+  replay.ghosts.forEach(ghost => {
+    if (!ghost.runner.finished) {
+      ghost.runner.update(ghost.course, ghost.settings);
+      running = running || !ghost.runner.finished;
+    }
+  });
+  if (!running) {
+    replay.wait += 1;
+    if (replay.wait > 90) {
+      restartReplay();
+    }
+  }
+}
+
+/**
+ * 選択中の世代（と重ねて表示する世代）のゴーストを最初から走らせ直す。
+ */
+function restartReplay() {
+  const replay = simulationState.replay;
+  const entries = simulation.hallOfFame;
+  const main = entries[replay.index];
+  let selected = [main];
+  if (dom.replayOverlay && dom.replayOverlay.checked) {
+    // コースの配列は世代ごとに作り直されることがあるので、配列どうしではなくコースの番号で比べる。
+    const sameCourse = entries.filter(entry => entry.courseId === main.courseId && entry !== main);
+    // 多すぎるときは等間隔に間引く。
+    const stride = Math.max(1, Math.ceil(sameCourse.length / (MAX_REPLAY_GHOSTS - 1)));
+    selected = sameCourse.filter((entry, index) => index % stride === 0).concat(main);
+  }
+  replay.ghosts = selected.map(entry => simulation.createReplay(entry));
+  replay.course = replay.ghosts[replay.ghosts.length - 1].course;
+  replay.wait = 0;
+  simulationState.viewOffset = 0;
+  updateReplayLabel();
+}
+
+/**
+ * ゴーストリプレイを開く。最初は最新の世代を再生する。
+ */
+function openReplay() {
+  if (!simulation || simulationState.turbo || simulation.hallOfFame.length === 0) return;
+  simulationState.replay = { index: simulation.hallOfFame.length - 1, ghosts: [], course: [], wait: 0 };
+  dom.replayGeneration.max = simulation.hallOfFame.length - 1;
+  dom.replayGeneration.value = simulationState.replay.index;
+  restartReplay();
+  updateButtonStates();
+}
+
+/**
+ * ゴーストリプレイを閉じてライブ表示へ戻る。
+ */
+function closeReplay() {
+  if (!simulationState.replay) return;
+  simulationState.replay = null;
+  simulationState.viewOffset = 0;
+  updateReplayLabel();
+  updateButtonStates();
+}
+
+/**
+ * リプレイ中の世代の表示を更新する。
+ */
+function updateReplayLabel() {
+  if (!dom.replayLabel) return;
+  const replay = simulationState.replay;
+  if (!replay) {
+    dom.replayLabel.textContent = '-';
+    return;
+  }
+  const entry = simulation.hallOfFame[replay.index];
+  dom.replayLabel.textContent = `第${entry.generation}世代（${entry.distance.toFixed(1)} m）`;
+}
+
+/**
+ * コース編集で、コース全体がキャンバスに収まるように距離を画面の x 座標へ写す尺度。
+ */
+function getEditorScale() {
+  return (width - 40) / config.courseLength;
+}
+
+/**
+ * 編集中の項目を、実際にレベル 1 のコースへ置いたときの状態で分類する。
+ * 範囲外（out）、間隔を空けるために後ろへずらされる（moved）、間隔が取れず置けない（dropped）、そのまま置かれる（ok）。
+ */
+function checkEditorEntries(entries) {
+  const candidates = entries
+    .map((entry, index) => ({ id: index, x: entry.position, width: entry.width, height: 0 }))
+    .filter(candidate => HurdleSim.isManualPositionInBounds(candidate.x, config));
+  // 編集するのはレベル 1 のコースなので、間隔もレベル 1 の難易度で空ける。
+  const spacing = { ...config, hurdleMinGapFactor: HurdleSim.getLevelDifficulty(1, config).gapFactor };
+  const placed = new Map(HurdleSim.enforceObstacleSpacing(candidates, spacing).map(obstacle => [obstacle.id, obstacle.x]));
+  return entries.map((entry, index) => {
+    if (!HurdleSim.isManualPositionInBounds(entry.position, config)) return { status: 'out' };
+    if (!placed.has(index)) return { status: 'dropped' };
+    const x = placed.get(index);
+    return Math.abs(x - entry.position) > 0.5 ? { status: 'moved', x } : { status: 'ok', x };
+  });
+}
+
+/**
+ * 編集中の項目の画面上の矩形。高さはレベル 1 で実際に置かれる高さ（倍率の下限・上限を反映）で描く。
+ */
+function getEditorRect(entry) {
+  const scale = getEditorScale();
+  const groundY = height - config.groundMargin;
+  const left = 20 + entry.position * scale;
+  const rectWidth = Math.max(3, entry.width * scale);
+  if (entry.type === 'pit') {
+    // 穴は地面の下に描き、高さのハンドルは持たない。
+    return { left, top: groundY, width: rectWidth, height: config.groundMargin - 6, heightEdge: null };
+  }
+  const range = HurdleSim.getManualMultiplierRange(entry.type, 1, config);
+  const multiplier = Math.max(range.min, clamp(entry.multiplier, 1, range.max));
+  const rectHeight = multiplier * config.runnerRadius * 2;
+  if (entry.type === 'bar') {
+    // 頭上のバーは下端より上を塞ぐ板として描き、高さのハンドルは下端に付ける。
+    const top = groundY - 160;
+    return { left, top, width: rectWidth, height: 160 - rectHeight, heightEdge: groundY - rectHeight };
+  }
+  return { left, top: groundY - rectHeight, width: rectWidth, height: rectHeight, heightEdge: groundY - rectHeight };
+}
+
+/**
+ * コース編集画面の描画。ハードルを置き場所の状態ごとに色分けし、選択中のハードルには高さと幅のハンドルを付ける。
+ */
+function drawEditor() {
+  const editor = simulationState.editor;
+  const scale = getEditorScale();
+  const groundY = height - config.groundMargin;
+
+  // 置けない範囲（スタート直後とゴール手前）
+  noStroke();
+  fill(254, 226, 226);
+  rect(20, groundY - 160, 50 * scale, 160);
+  rect(20 + (config.courseLength - 40) * scale, groundY - 160, 40 * scale, 160);
+
+  stroke(120, 144, 156);
+  strokeWeight(2);
+  line(20, groundY, 20 + config.courseLength * scale, groundY);
+  strokeWeight(1);
+  for (let marker = 0; marker <= config.courseLength; marker += 100) {
+    const x = 20 + marker * scale;
+    stroke(167, 199, 231, 140);
+    line(x, groundY, x, groundY + 8);
+    noStroke();
+    fill(100, 121, 152);
+    textSize(10);
+    textAlign(CENTER, TOP);
+    text(`${marker}`, x, groundY + 10);
+  }
+
+  const checks = checkEditorEntries(editor.entries);
+  editor.entries.forEach((entry, index) => {
+    const box = getEditorRect(entry);
+    const check = checks[index];
+    push();
+    if (check.status === 'moved') {
+      // 元の位置は点線で残し、実際に置かれる位置に描く。
+      noFill();
+      stroke(234, 88, 12);
+      drawingContext.setLineDash([4, 3]);
+      rect(box.left, box.top, box.width, box.height, 3);
+      drawingContext.setLineDash([]);
+      line(box.left + box.width, box.top + box.height / 2, 20 + check.x * scale, box.top + box.height / 2);
+      noStroke();
+      fill(251, 146, 60);
+      rect(20 + check.x * scale, box.top, box.width, box.height, 3);
+    } else if (check.status === 'ok') {
+      noStroke();
+      fill(entry.type === 'pit' ? color(51, 65, 85) : config.hurdleColor);
+      rect(box.left, box.top, box.width, box.height, 3);
+    } else {
+      stroke(220, 38, 38);
+      strokeWeight(1.5);
+      fill(254, 202, 202);
+      rect(box.left, box.top, box.width, box.height, 3);
+      noStroke();
+      fill(185, 28, 28);
+      textSize(10);
+      textAlign(CENTER, BOTTOM);
+      text(check.status === 'out' ? '範囲外' : '間隔不足で削除', box.left + box.width / 2, box.top - 4);
+    }
+    if (index === editor.selected) {
+      noFill();
+      stroke(30, 41, 59);
+      strokeWeight(1.5);
+      rect(box.left - 2, box.top - 2, box.width + 4, box.height + 4, 3);
+      fill(255);
+      rectMode(CENTER);
+      if (box.heightEdge !== null) {
+        rect(box.left + box.width / 2, box.heightEdge, 8, 8);
+      }
+      rect(box.left + box.width, box.top + box.height / 2, 8, 8);
+      rectMode(CORNER);
+      noStroke();
+      fill(30, 41, 59);
+      textSize(11);
+      textAlign(LEFT, BOTTOM);
+      text(
+        `${HurdleSim.OBSTACLE_TYPES[entry.type].label}  距離 ${Math.round(entry.position)}` +
+          (entry.type === 'pit' ? '' : `  高さ ×${entry.multiplier.toFixed(2)}`) +
+          `  幅 ${Math.round(entry.width)}`,
+        Math.min(box.left, width - 220),
+        box.top - 16
+      );
+    }
+    pop();
+  });
+
+  const moved = checks.filter(check => check.status === 'moved').length;
+  const rejected = checks.filter(check => check.status === 'out' || check.status === 'dropped').length;
+  fill(30, 41, 59, 200);
+  noStroke();
+  textSize(13);
+  textAlign(LEFT, TOP);
+  text(
+    'コース編集中: 空いた場所をクリックで追加、ドラッグで移動、上の■で高さ・右の■で幅、Delete キーで削除\n'
+      + `障害物 ${editor.entries.length} 個（ずらされる ${moved} 個・置けない ${rejected} 個）`,
+    12,
+    12
+  );
+}
+
+/**
+ * コース編集でのクリック。選択中のハードルのハンドル、ハードル本体、空いた場所（新しいハードルを追加）の順に調べる。
+ */
+function pressEditor() {
+  const editor = simulationState.editor;
+  const scale = getEditorScale();
+  const groundY = height - config.groundMargin;
+  const worldX = (mouseX - 20) / scale;
+  const selected = editor.entries[editor.selected];
+  if (selected) {
+    const box = getEditorRect(selected);
+    if (box.heightEdge !== null && dist(mouseX, mouseY, box.left + box.width / 2, box.heightEdge) <= 7) {
+      editor.drag = { mode: 'height' };
+      return;
+    }
+    if (dist(mouseX, mouseY, box.left + box.width, box.top + box.height / 2) <= 7) {
+      editor.drag = { mode: 'width' };
+      return;
+    }
+  }
+  for (let index = editor.entries.length - 1; index >= 0; index--) {
+    const box = getEditorRect(editor.entries[index]);
+    if (mouseX >= box.left - 3 && mouseX <= box.left + box.width + 3 && mouseY >= box.top - 3 && mouseY <= Math.max(groundY, box.top + box.height) + 3) {
+      editor.selected = index;
+      editor.drag = { mode: 'move', grab: worldX - editor.entries[index].position };
+      return;
+    }
+  }
+  if (mouseY < groundY - 200 || mouseY > groundY + 20) {
+    editor.selected = -1;
+    return;
+  }
+  const type = dom.editorType.value;
+  const range = HurdleSim.getManualMultiplierRange(type, 1, config);
+  const multiplier = type === 'bar' ? range.min + 0.5 : Math.max(1.5, range.min);
+  editor.entries.push({ position: Math.round(worldX), multiplier, width: HurdleSim.OBSTACLE_TYPES[type].defaultWidth, type });
+  editor.selected = editor.entries.length - 1;
+  editor.drag = { mode: 'move', grab: 0 };
+  syncEditorText();
+}
+
+/**
+ * ドラッグ中のハンドルに合わせてハードルを動かす・大きさを変える。
+ */
+function mouseDragged() {
+  const editor = simulationState.editor;
+  if (!editor || !editor.drag) return;
+  const entry = editor.entries[editor.selected];
+  const worldX = (mouseX - 20) / getEditorScale();
+  editor.drag.moved = true;
+  if (editor.drag.mode === 'move') {
+    entry.position = Math.round(clamp(worldX - editor.drag.grab, 0, config.courseLength));
+  } else if (editor.drag.mode === 'height') {
+    const groundY = height - config.groundMargin;
+    const multiplier = (groundY - mouseY) / (config.runnerRadius * 2);
+    const range = HurdleSim.getManualMultiplierRange(entry.type, 1, config);
+    entry.multiplier = Math.round(clamp(multiplier, range.min, range.max) * 20) / 20;
+  } else {
+    entry.width = Math.round(clamp(worldX - entry.position, HurdleSim.MANUAL_HURDLE_WIDTH_MIN, HurdleSim.MANUAL_HURDLE_WIDTH_MAX));
+  }
+  syncEditorText();
+}
+
+/**
+ * ドラッグを終えたら、テキストの並びが距離順になるように項目を並べ替える。選択しただけならテキストは書き換えない。
+ */
+function mouseReleased() {
+  const editor = simulationState.editor;
+  if (!editor || !editor.drag) return;
+  const moved = editor.drag.moved;
+  editor.drag = null;
+  if (!moved) return;
+  const selected = editor.entries[editor.selected];
+  editor.entries.sort((a, b) => a.position - b.position);
+  editor.selected = editor.entries.indexOf(selected);
+  syncEditorText();
+}
+
+/**
+ * コース編集中に Delete / Backspace キーで選択中のハードルを削除する。テキストの入力中は何もしない。
+ */
+function keyPressed() {
+  const editor = simulationState.editor;
+  if (!editor || editor.selected < 0) return;
+  if (keyCode !== DELETE && keyCode !== BACKSPACE) return;
+  const active = document.activeElement;
+  if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.tagName === 'SELECT')) return;
+  deleteEditorSelection();
+  return false;
+}
+
+/**
+ * 選択中のハードルを削除する。
+ */
+function deleteEditorSelection() {
+  const editor = simulationState.editor;
+  if (!editor || editor.selected < 0) return;
+  editor.entries.splice(editor.selected, 1);
+  editor.selected = -1;
+  syncEditorText();
+}
+
+/**
+ * 手動配置のテキストのうち、レベル 1 のコースの項目をコース編集で扱う形で取り出す。
+ */
+function readEditorEntries(text) {
+  return HurdleSim.parseManualCourse(text).sections[0].entries.map(entry => ({
+    position: entry.position,
+    multiplier: entry.multiplier,
+    width: entry.width,
+    type: entry.type
+  }));
+}
+
+/**
+ * 手動配置の項目 1 つ分のテキストが、コース編集で読み取れる項目か。
+ */
+function isEditorEntryText(entryText) {
+  return HurdleSim.parseManualCourse(entryText).sections[0].entries.length === 1;
+}
+
+/**
+ * 編集中の項目を手動配置のテキスト（距離:高さ倍率:幅:種類。既定値の幅と種類は省略）へ書き戻す。
+ * 置き換えるのはレベル 1 のコースの読み取れた項目だけで、見出し・コメント・読み取れなかった項目・ほかのレベルのセクションは書いたまま残す。
+ * 新しい項目は、元の項目があった最初の行（なければレベル 2 以降の最初の見出しの前）に 1 行にまとめて書く。
+ */
+function syncEditorText() {
+  const entriesText = simulationState.editor.entries
+    .map(entry => {
+      // 穴は高さを持たないので、高さ倍率の欄は空にする。
+      const parts = [Math.round(entry.position), entry.type === 'pit' ? '' : Number(entry.multiplier.toFixed(2))];
+      if (entry.type !== 'hurdle') {
+        parts.push(Math.round(entry.width), entry.type);
+      } else if (entry.width !== HurdleSim.MANUAL_HURDLE_WIDTH) {
+        parts.push(Math.round(entry.width));
+      }
+      return parts.join(':');
+    })
+    .join(', ');
+  const lines = [];
+  let level = 1;
+  let insertAt = -1;
+  let otherSectionAt = -1;
+  dom.manualHurdles.value.split('\n').forEach(rawLine => {
+    const commentStart = rawLine.indexOf('#');
+    const content = commentStart >= 0 ? rawLine.slice(0, commentStart) : rawLine;
+    const header = content.trim().match(/^\[\s*(?:level|レベル)\s*(\d+)\s*\]$/i);
+    if (header) {
+      level = parseInt(header[1], 10);
+      if (level !== 1 && otherSectionAt < 0) otherSectionAt = lines.length;
+    }
+    const parts = content.split(',').map(part => part.trim()).filter(Boolean);
+    const rest = parts.filter(part => !isEditorEntryText(part));
+    if (header || level !== 1 || rest.length === parts.length) {
+      lines.push(rawLine);
+      return;
+    }
+    if (insertAt < 0) insertAt = lines.length;
+    const comment = commentStart >= 0 ? rawLine.slice(commentStart) : '';
+    if (rest.length || comment) {
+      lines.push([rest.join(', '), comment].filter(Boolean).join(' '));
+    }
+  });
+  if (entriesText) {
+    if (insertAt < 0) insertAt = otherSectionAt >= 0 ? otherSectionAt : lines.length;
+    lines.splice(insertAt, 0, entriesText);
+  }
+  dom.manualHurdles.value = lines.join('\n');
+  updateManualHurdleIssues();
+}
+
+/**
+ * コース編集を始める。手動配置ならそのテキストを、ランダム配置なら今のコースを編集の出発点にする。
+ */
+function openEditor() {
+  if (!simulation || simulationState.turbo || simulationState.editor) return;
+  closeReplay();
+  selectRunner(null);
+  const originalText = dom.manualHurdles.value;
+  const entries = config.hurdleMode === 'manual'
+    ? readEditorEntries(originalText)
+    : simulation.obstacles.map(obstacle => ({
+      position: Math.round(obstacle.x),
+      multiplier: Math.round((obstacle.height / (config.runnerRadius * 2)) * 100) / 100,
+      width: Math.round(obstacle.width),
+      type: obstacle.type || 'hurdle'
+    }));
+  simulationState.editor = { entries, selected: -1, drag: null, originalText };
+  // 手動配置のテキストは、実際に編集するまで書き換えない。ランダム配置のコースは項目をテキストに書き出して出発点にする。
+  if (config.hurdleMode !== 'manual') {
+    syncEditorText();
+  }
+  updateManualHurdleVisibility();
+  updateButtonStates();
+}
+
+/**
+ * コース編集を終える。apply が true なら手動配置に切り替えて編集したコースで最初からやり直し、
+ * false なら編集前のテキストに戻す。
+ */
+function closeEditor(apply) {
+  if (!simulationState.editor) return;
+  const originalText = simulationState.editor.originalText;
+  simulationState.editor = null;
+  if (apply) {
+    config.hurdleMode = 'manual';
+    dom.hurdleMode.value = 'manual';
+    config.manualHurdlesText = dom.manualHurdles.value.trim();
+    resetSimulation();
+  } else {
+    dom.manualHurdles.value = originalText;
+    updateManualHurdleIssues();
+  }
+  updateManualHurdleVisibility();
+  updateButtonStates();
+}
+
+/**
+ * 画面左上に簡単なヘルプを表示する。
+ */
+function drawOverlayText() {
+  fill(30, 41, 59, 180);
+  noStroke();
+  textSize(13);
+  textAlign(LEFT, TOP);
+  let status = simulationState.running && !simulationState.halted ? '実行中' : '一時停止中';
+  if (simulationState.turbo) {
+    status = `高速進化中 (${simulationState.turbo.done} / ${simulationState.turbo.target} 世代)`;
+  }
+  let overlay = `ステータス: ${status}\nシミュレーション速度: ${simulationState.speedMultiplier.toFixed(1)}x\nレベル: ${simulation.level}`;
+  if (config.trainingCourses > 1) {
+    overlay += `\n訓練コース 1 / ${config.trainingCourses} を表示中`;
+  }
+  if (config.comparisonMode) {
+    overlay += `\n比較モード: ${simulation.islands.map(island => island.name).join(' と ')} が同じコースを走行中`;
+  } else if (simulation.islands.length > 1) {
+    overlay += `\n島 ${simulation.islands.length} つ（${config.migrationInterval} 世代ごとに移住）`;
+  }
+  text(overlay, 12, 12);
+}
+
+/**
+ * すべての UI の DOM 要素をキャッシュしておく。
+ */
+function cacheDomElements() {
+  dom.populationSize = document.getElementById('population-size');
+  dom.maxGenerations = document.getElementById('max-generations');
+  dom.stopConditions = {
+    stagnationGenerations: document.getElementById('stagnation-generations'),
+    targetLevel: document.getElementById('target-level'),
+    targetCompletionRate: document.getElementById('target-completion-rate'),
+    timeBudgetSeconds: document.getElementById('time-budget'),
+    frameBudget: document.getElementById('frame-budget')
+  };
+  dom.genomeType = document.getElementById('genome-type');
+  dom.mutationRate = document.getElementById('mutation-rate');
+  dom.mutationLabel = document.getElementById('mutation-rate-label');
+  dom.mutationType = document.getElementById('mutation-type');
+  dom.mutationSigmaGroup = document.getElementById('mutation-sigma-group');
+  dom.mutationSigma = document.getElementById('mutation-sigma');
+  dom.mutationSchedule = document.getElementById('mutation-schedule');
+  dom.evolutionMode = document.getElementById('evolution-mode');
+  dom.selectionMethodGroup = document.getElementById('selection-method-group');
+  dom.selectionMethod = document.getElementById('selection-method');
+  dom.tournamentSizeGroup = document.getElementById('tournament-size-group');
+  dom.tournamentSize = document.getElementById('tournament-size');
+  dom.crossoverMethod = document.getElementById('crossover-method');
+  dom.crossoverRate = document.getElementById('crossover-rate');
+  dom.crossoverRateLabel = document.getElementById('crossover-rate-label');
+  dom.replacementMode = document.getElementById('replacement-mode');
+  dom.nicheModeGroup = document.getElementById('niche-mode-group');
+  dom.nicheMode = document.getElementById('niche-mode');
+  dom.nicheRadius = document.getElementById('niche-radius');
+  dom.islandCount = document.getElementById('island-count');
+  dom.islandGroup = document.getElementById('island-group');
+  dom.migrationTopology = document.getElementById('migration-topology');
+  dom.migrationInterval = document.getElementById('migration-interval');
+  dom.migrationCount = document.getElementById('migration-count');
+  dom.islandSettings = document.getElementById('island-settings');
+  dom.comparisonMode = document.getElementById('comparison-mode');
+  dom.comparisonGroup = document.getElementById('comparison-group');
+  dom.comparisonView = document.getElementById('comparison-view');
+  dom.comparisonSettings = document.getElementById('comparison-settings');
+  dom.comparisonTableWrapper = document.getElementById('comparison-table-wrapper');
+  dom.comparisonTable = document.getElementById('comparison-table');
+  dom.courseLength = document.getElementById('course-length');
+  dom.trainingCourses = document.getElementById('training-courses');
+  dom.fitnessAggregateGroup = document.getElementById('fitness-aggregate-group');
+  dom.fitnessAggregate = document.getElementById('fitness-aggregate');
+  dom.fitnessWeights = {
+    fitnessWeightDistance: document.getElementById('weight-distance'),
+    fitnessWeightFinishTime: document.getElementById('weight-finish-time'),
+    fitnessWeightJumps: document.getElementById('weight-jumps'),
+    fitnessWeightJumpPower: document.getElementById('weight-jump-power'),
+    fitnessWeightCrash: document.getElementById('weight-crash')
+  };
+  dom.hurdleMode = document.getElementById('hurdle-mode');
+  dom.specialObstacles = document.getElementById('special-obstacles');
+  dom.promotionRate = document.getElementById('promotion-rate');
+  dom.promotionStreak = document.getElementById('promotion-streak');
+  dom.demotionGenerations = document.getElementById('demotion-generations');
+  dom.levelSchedule = document.getElementById('level-schedule');
+  dom.levelScheduleIssues = document.getElementById('level-schedule-issues');
+  dom.curriculumProgress = document.getElementById('curriculum-progress');
+  dom.manualHurdleIssues = document.getElementById('manual-hurdle-issues');
+  dom.manualHurdleGroup = document.getElementById('manual-hurdle-group');
+  dom.manualHurdles = document.getElementById('manual-hurdles');
+  dom.simulationSpeed = document.getElementById('simulation-speed');
+  dom.randomSeed = document.getElementById('random-seed');
+  dom.seedLabel = document.getElementById('seed-label');
+  dom.togglePlay = document.getElementById('toggle-play');
+  dom.nextGeneration = document.getElementById('next-generation');
+  dom.stopSimulation = document.getElementById('stop-simulation');
+  dom.resetSimulation = document.getElementById('reset-simulation');
+  dom.turboGenerations = document.getElementById('turbo-generations');
+  dom.toggleTurbo = document.getElementById('toggle-turbo');
+  dom.exportSnapshot = document.getElementById('export-snapshot');
+  dom.importSnapshot = document.getElementById('import-snapshot');
+  dom.snapshotFile = document.getElementById('snapshot-file');
+  dom.experimentGrid = document.getElementById('experiment-grid');
+  dom.experimentGridIssues = document.getElementById('experiment-grid-issues');
+  dom.experimentRepetitions = document.getElementById('experiment-repetitions');
+  dom.toggleExperiment = document.getElementById('toggle-experiment');
+  dom.exportExperimentSummary = document.getElementById('export-experiment-summary');
+  dom.exportExperimentRuns = document.getElementById('export-experiment-runs');
+  dom.experimentProgress = document.getElementById('experiment-progress');
+  dom.experimentTable = document.getElementById('experiment-table');
+  dom.cameraLock = document.getElementById('camera-lock');
+  dom.toggleEditor = document.getElementById('toggle-editor');
+  dom.editorControls = document.getElementById('editor-controls');
+  dom.editorCancel = document.getElementById('editor-cancel');
+  dom.editorDelete = document.getElementById('editor-delete');
+  dom.editorType = document.getElementById('editor-type');
+  dom.trailMode = document.getElementById('trail-mode');
+  dom.heatmapView = document.getElementById('heatmap-view');
+  dom.genomeHeatmap = document.getElementById('genome-heatmap');
+  dom.heatmapCaption = document.getElementById('heatmap-caption');
+  dom.trailCount = document.getElementById('trail-count');
+  dom.trailCountGroup = document.getElementById('trail-count-group');
+  dom.crashOverlay = document.getElementById('crash-overlay');
+  dom.crashTable = document.getElementById('crash-table');
+  dom.clearSelection = document.getElementById('clear-selection');
+  dom.inspectorEmpty = document.getElementById('inspector-empty');
+  dom.inspectorBody = document.getElementById('inspector-body');
+  dom.inspectorId = document.getElementById('inspector-id');
+  dom.inspectorStatus = document.getElementById('inspector-status');
+  dom.inspectorDistance = document.getElementById('inspector-distance');
+  dom.inspectorHit = document.getElementById('inspector-hit');
+  dom.inspectorOrigin = document.getElementById('inspector-origin');
+  dom.inspectorGenome = document.getElementById('inspector-genome');
+  dom.inspectorGenomeLabel = document.getElementById('inspector-genome-label');
+  dom.inspectorJumps = document.getElementById('inspector-jumps');
+  dom.toggleReplay = document.getElementById('toggle-replay');
+  dom.replayControls = document.getElementById('replay-controls');
+  dom.replayGeneration = document.getElementById('replay-generation');
+  dom.replayLabel = document.getElementById('replay-label');
+  dom.replayOverlay = document.getElementById('replay-overlay');
+  dom.replayBest = document.getElementById('replay-best');
+  dom.runnerColor = document.getElementById('runner-color');
+  dom.runnerCrashColor = document.getElementById('runner-crash-color');
+  dom.hurdleColor = document.getElementById('hurdle-color');
+  dom.hurdleHitColor = document.getElementById('hurdle-hit-color');
+  dom.currentLevel = document.getElementById('current-level');
+
+  dom.currentGeneration = document.getElementById('current-generation');
+  dom.averageDistance = document.getElementById('average-distance');
+  dom.bestDistance = document.getElementById('best-distance');
+  dom.dropoutCount = document.getElementById('dropout-count');
+  dom.aggregateDistanceItem = document.getElementById('aggregate-distance-item');
+  dom.aggregateDistance = document.getElementById('aggregate-distance');
+  dom.testDistance = document.getElementById('test-distance');
+  dom.paretoYAxis = document.getElementById('pareto-y-axis');
+  dom.fitnessValue = document.getElementById('fitness-value');
+  dom.diversityValue = document.getElementById('diversity-value');
+  dom.resultModal = document.getElementById('result-modal');
+  dom.resultMessage = document.getElementById('result-message');
+  dom.closeModal = document.getElementById('close-modal');
+}
+
+/**
+ * UI とシミュレーションの橋渡しを行うイベントリスナーの設定。
+ */
+function initControls() {
+  // 入力値の変更が遺伝的アルゴリズムに即座に反映されるようにする。
+  dom.populationSize.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.populationSize.value, 10) || config.populationSize, 10, 200);
+    dom.populationSize.value = value;
+    config.populationSize = value;
+    resetSimulation();
+  });
+
+  dom.maxGenerations.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.maxGenerations.value, 10) || config.maxGenerations, 10, 1000);
+    dom.maxGenerations.value = value;
+    config.maxGenerations = value;
+    updateButtonStates();
+  });
+
+  // 終了条件は次の世代の区切りから使う。完走率だけは % で入力し、設定には割合で持つ。
+  Object.entries(dom.stopConditions).forEach(([key, input]) => {
+    input.addEventListener('change', () => {
+      const value = clamp(parseFloat(input.value) || 0, 0, parseFloat(input.max));
+      input.value = value;
+      config[key] = key === 'targetCompletionRate' ? value / 100 : value;
+      updateButtonStates();
+    });
+  });
+
+  // 遺伝子型が変わると遺伝子の長さも意味も変わるため、最初からやり直す。
+  dom.genomeType.addEventListener('change', () => {
+    config.genomeType = dom.genomeType.value;
+    resetSimulation();
+  });
+
+  dom.mutationRate.addEventListener('input', () => {
+    const value = parseFloat(dom.mutationRate.value);
+    config.mutationRate = value;
+    updateMutationLabel(value);
+    // 適応モードでも、手で動かした値を新たな出発点にする。
+    if (simulation) simulation.refreshIslandSettings();
+  });
+
+  dom.mutationType.addEventListener('change', () => {
+    config.mutationType = dom.mutationType.value;
+    updateMutationControlsVisibility();
+  });
+
+  dom.mutationSigma.addEventListener('change', () => {
+    const value = clamp(parseFloat(dom.mutationSigma.value) || config.mutationSigma, 0.01, 0.5);
+    dom.mutationSigma.value = value;
+    config.mutationSigma = value;
+  });
+
+  dom.mutationSchedule.addEventListener('change', () => {
+    config.mutationSchedule = dom.mutationSchedule.value;
+    updateMutationControlsVisibility();
+    if (simulation) simulation.refreshIslandSettings();
+  });
+
+  dom.evolutionMode.addEventListener('change', () => {
+    config.evolutionMode = dom.evolutionMode.value;
+    updateSelectionControlsVisibility();
+  });
+
+  dom.paretoYAxis.addEventListener('change', () => {
+    updateParetoChart(paretoFrontPoints);
+  });
+
+  dom.selectionMethod.addEventListener('change', () => {
+    config.selectionMethod = dom.selectionMethod.value;
+    updateSelectionControlsVisibility();
+  });
+
+  dom.tournamentSize.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.tournamentSize.value, 10) || config.tournamentSize, 2, 20);
+    dom.tournamentSize.value = value;
+    config.tournamentSize = value;
+  });
+
+  dom.crossoverMethod.addEventListener('change', () => {
+    config.crossoverMethod = dom.crossoverMethod.value;
+  });
+
+  dom.crossoverRate.addEventListener('input', () => {
+    const value = parseFloat(dom.crossoverRate.value);
+    config.crossoverRate = value;
+    updateCrossoverRateLabel(value);
+  });
+
+  dom.replacementMode.addEventListener('change', () => {
+    config.replacementMode = dom.replacementMode.value;
+    updateSelectionControlsVisibility();
+  });
+
+  dom.nicheMode.addEventListener('change', () => {
+    config.nicheMode = dom.nicheMode.value;
+  });
+
+  dom.nicheRadius.addEventListener('change', () => {
+    const value = clamp(parseFloat(dom.nicheRadius.value) || config.nicheRadius, 0.01, 0.5);
+    dom.nicheRadius.value = value;
+    config.nicheRadius = value;
+  });
+
+  // 島の数を変えると個体群の構成が変わるため、最初からやり直す。
+  dom.islandCount.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.islandCount.value, 10) || 1, 1, HurdleSim.MAX_ISLANDS);
+    dom.islandCount.value = value;
+    config.islandCount = value;
+    // 減らした島の設定は残さない。島が 1 つなら共通設定だけを使う。
+    config.islandOverrides = value > 1 ? config.islandOverrides.slice(0, value) : [];
+    renderIslandSettings();
+    resetSimulation();
+  });
+
+  dom.migrationTopology.addEventListener('change', () => {
+    config.migrationTopology = dom.migrationTopology.value;
+  });
+
+  // 比較モードの切り替えも個体群の構成が変わるため、最初からやり直す。
+  dom.comparisonMode.addEventListener('change', () => {
+    config.comparisonMode = dom.comparisonMode.checked;
+    renderIslandSettings();
+    updateComparisonVisibility();
+    resetSimulation();
+  });
+
+  dom.migrationInterval.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.migrationInterval.value, 10) || config.migrationInterval, 1, 100);
+    dom.migrationInterval.value = value;
+    config.migrationInterval = value;
+  });
+
+  dom.migrationCount.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.migrationCount.value, 10) || 0, 0, 10);
+    dom.migrationCount.value = value;
+    config.migrationCount = value;
+  });
+
+  dom.courseLength.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.courseLength.value, 10) || config.courseLength, 400, 3000);
+    dom.courseLength.value = value;
+    config.courseLength = value;
+    resetSimulation();
+  });
+
+  dom.trainingCourses.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.trainingCourses.value, 10) || 1, 1, 10);
+    dom.trainingCourses.value = value;
+    config.trainingCourses = value;
+    updateTrainingControlsVisibility();
+  });
+
+  dom.fitnessAggregate.addEventListener('change', () => {
+    config.fitnessAggregate = dom.fitnessAggregate.value;
+  });
+
+  Object.entries(dom.fitnessWeights).forEach(([key, input]) => {
+    input.addEventListener('change', () => {
+      const value = Math.max(0, parseFloat(input.value) || 0);
+      input.value = value;
+      config[key] = value;
+    });
+  });
+
+  dom.hurdleMode.addEventListener('change', () => {
+    closeEditor(false);
+    config.hurdleMode = dom.hurdleMode.value;
+    updateManualHurdleVisibility();
+    if (config.hurdleMode === 'manual') {
+      config.manualHurdlesText = dom.manualHurdles.value.trim();
+    }
+    resetSimulation();
+  });
+
+  dom.specialObstacles.addEventListener('change', () => {
+    config.specialObstacles = dom.specialObstacles.checked;
+    resetSimulation();
+  });
+
+  dom.promotionRate.addEventListener('change', () => {
+    const value = clamp(parseFloat(dom.promotionRate.value) || 0, 0, 100);
+    dom.promotionRate.value = value;
+    config.promotionRate = value / 100;
+  });
+
+  dom.promotionStreak.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.promotionStreak.value, 10) || 1, 1, 50);
+    dom.promotionStreak.value = value;
+    config.promotionStreak = value;
+  });
+
+  dom.demotionGenerations.addEventListener('change', () => {
+    const value = clamp(parseInt(dom.demotionGenerations.value, 10) || 0, 0, 200);
+    dom.demotionGenerations.value = value;
+    config.demotionGenerations = value;
+  });
+
+  dom.levelSchedule.addEventListener('input', updateLevelScheduleIssues);
+
+  dom.levelSchedule.addEventListener('blur', () => {
+    const text = dom.levelSchedule.value.trim();
+    if (text === config.levelScheduleText) return;
+    config.levelScheduleText = text;
+    resetSimulation();
+  });
+
+  dom.manualHurdles.addEventListener('input', () => {
+    updateManualHurdleIssues();
+    const editor = simulationState.editor;
+    if (!editor) return;
+    editor.entries = readEditorEntries(dom.manualHurdles.value);
+    editor.selected = -1;
+  });
+
+  dom.manualHurdles.addEventListener('blur', () => {
+    if (config.hurdleMode !== 'manual' || simulationState.editor) return;
+    config.manualHurdlesText = dom.manualHurdles.value.trim();
+    resetSimulation();
+  });
+
+  dom.simulationSpeed.addEventListener('change', () => {
+    simulationState.speedMultiplier = parseFloat(dom.simulationSpeed.value);
+  });
+
+  if (dom.randomSeed) {
+    dom.randomSeed.addEventListener('change', () => {
+      config.seedText = dom.randomSeed.value.trim();
+      dom.randomSeed.value = config.seedText;
+      resetSimulation();
+    });
+  }
+
+  dom.togglePlay.addEventListener('click', () => {
+    if (simulationState.halted) {
+      simulationState.halted = false;
+    }
+    simulationState.running = !simulationState.running;
+    updateButtonStates();
+  });
+
+  dom.nextGeneration.addEventListener('click', () => {
+    if (!simulation || !simulation.forceAdvance()) return;
+    const stats = simulation.getCombinedStats();
+    updateDashboard(stats.averageDistance, stats.bestDistance, stats.dropouts);
+  });
+
+  dom.stopSimulation.addEventListener('click', () => {
+    simulationState.running = false;
+    simulationState.halted = true;
+    updateButtonStates();
+  });
+
+  dom.resetSimulation.addEventListener('click', () => {
+    resetSimulation();
+  });
+
+  if (dom.toggleTurbo) {
+    dom.toggleTurbo.addEventListener('click', () => {
+      if (simulationState.turbo) {
+        stopTurbo();
+      } else {
+        startTurbo();
+      }
+    });
+  }
+
+  if (dom.exportSnapshot) {
+    dom.exportSnapshot.addEventListener('click', exportSnapshot);
+  }
+
+  if (dom.toggleExperiment) {
+    dom.experimentGrid.addEventListener('input', updateExperimentGridIssues);
+    dom.experimentRepetitions.addEventListener('change', () => {
+      dom.experimentRepetitions.value = clamp(parseInt(dom.experimentRepetitions.value, 10) || 1, 1, 20);
+      updateExperimentGridIssues();
+    });
+    dom.toggleExperiment.addEventListener('click', () => {
+      if (simulationState.experiment) {
+        stopExperiment();
+      } else {
+        startExperiment();
+      }
+    });
+    dom.exportExperimentSummary.addEventListener('click', () => exportExperimentCsv('summary'));
+    dom.exportExperimentRuns.addEventListener('click', () => exportExperimentCsv('runs'));
+    updateExperimentGridIssues();
+  }
+
+  if (dom.toggleEditor) {
+    dom.toggleEditor.addEventListener('click', () => {
+      if (simulationState.editor) {
+        closeEditor(true);
+      } else {
+        openEditor();
+      }
+    });
+    dom.editorCancel.addEventListener('click', () => closeEditor(false));
+    dom.editorDelete.addEventListener('click', deleteEditorSelection);
+  }
+
+  if (dom.clearSelection) {
+    dom.clearSelection.addEventListener('click', () => selectRunner(null));
+  }
+
+  if (dom.heatmapView) {
+    dom.heatmapView.addEventListener('change', drawGenomeHeatmap);
+  }
+
+  if (dom.trailMode) {
+    dom.trailMode.addEventListener('change', () => {
+      // 軌跡は記録を始めた時点からしか残らないので、表示を切り替えたらすぐに記録を始める。
+      config.recordTrails = dom.trailMode.value !== 'none';
+      updateTrailControlsVisibility();
+    });
+    dom.trailCount.addEventListener('change', () => {
+      dom.trailCount.value = clamp(parseInt(dom.trailCount.value, 10) || 5, 1, MAX_TRAILS);
+    });
+  }
+
+  if (dom.toggleReplay) {
+    dom.toggleReplay.addEventListener('click', () => {
+      if (simulationState.replay) {
+        closeReplay();
+      } else {
+        openReplay();
+      }
+    });
+    dom.replayGeneration.addEventListener('input', () => {
+      if (!simulationState.replay) return;
+      simulationState.replay.index = parseInt(dom.replayGeneration.value, 10) || 0;
+      restartReplay();
+    });
+    dom.replayOverlay.addEventListener('change', () => {
+      if (simulationState.replay) restartReplay();
+    });
+    dom.replayBest.addEventListener('click', () => {
+      if (!simulationState.replay) return;
+      simulationState.replay.index = simulation.hallOfFame.indexOf(simulation.getAllTimeBest());
+      dom.replayGeneration.value = simulationState.replay.index;
+      restartReplay();
+    });
+  }
+
+  if (dom.importSnapshot && dom.snapshotFile) {
+    dom.importSnapshot.addEventListener('click', () => dom.snapshotFile.click());
+    dom.snapshotFile.addEventListener('change', () => {
+      const file = dom.snapshotFile.files[0];
+      dom.snapshotFile.value = '';
+      if (file) importSnapshot(file);
+    });
+  }
+
+  if (dom.runnerColor) {
+    dom.runnerColor.addEventListener('input', () => {
+      config.runnerColor = dom.runnerColor.value;
+    });
+  }
+
+  if (dom.runnerCrashColor) {
+    dom.runnerCrashColor.addEventListener('input', () => {
+      config.runnerCrashColor = dom.runnerCrashColor.value;
+    });
+  }
+
+  if (dom.hurdleColor) {
+    dom.hurdleColor.addEventListener('input', () => {
+      config.hurdleColor = dom.hurdleColor.value;
+    });
+  }
+
+  if (dom.hurdleHitColor) {
+    dom.hurdleHitColor.addEventListener('input', () => {
+      config.hurdleHitColor = dom.hurdleHitColor.value;
+    });
+  }
+
+  if (dom.closeModal) {
+    dom.closeModal.addEventListener('click', hideResultModal);
+  }
+
+  if (dom.resultModal) {
+    dom.resultModal.addEventListener('click', event => {
+      if (event.target === dom.resultModal) {
+        hideResultModal();
+      }
+    });
+  }
+}
+
+/**
+ * config の値を各入力欄へ書き戻す。スナップショット読み込みで設定が置き換わったときにも使う。
+ */
+function syncControlsFromConfig() {
+  if (dom.trailMode) {
+    if (!config.recordTrails) {
+      dom.trailMode.value = 'none';
+    } else if (dom.trailMode.value === 'none') {
+      dom.trailMode.value = 'leader';
+    }
+    updateTrailControlsVisibility();
+  }
+  dom.populationSize.value = config.populationSize;
+  dom.maxGenerations.value = config.maxGenerations;
+  Object.entries(dom.stopConditions).forEach(([key, input]) => {
+    input.value = key === 'targetCompletionRate' ? Math.round(config[key] * 100) : config[key];
+  });
+  dom.genomeType.value = config.genomeType;
+  dom.mutationRate.value = config.mutationRate;
+  dom.mutationType.value = config.mutationType;
+  dom.mutationSigma.value = config.mutationSigma;
+  dom.mutationSchedule.value = config.mutationSchedule;
+  updateMutationControlsVisibility();
+  dom.evolutionMode.value = config.evolutionMode;
+  dom.selectionMethod.value = config.selectionMethod;
+  dom.tournamentSize.value = config.tournamentSize;
+  dom.replacementMode.value = config.replacementMode;
+  dom.nicheMode.value = config.nicheMode;
+  dom.nicheRadius.value = config.nicheRadius;
+  dom.islandCount.value = config.islandCount;
+  dom.migrationTopology.value = config.migrationTopology;
+  dom.migrationInterval.value = config.migrationInterval;
+  dom.migrationCount.value = config.migrationCount;
+  renderIslandSettings();
+  dom.comparisonMode.checked = config.comparisonMode;
+  renderComparisonSettings();
+  updateComparisonVisibility();
+  updateSelectionControlsVisibility();
+  dom.crossoverMethod.value = config.crossoverMethod;
+  dom.crossoverRate.value = config.crossoverRate;
+  updateCrossoverRateLabel(config.crossoverRate);
+  dom.courseLength.value = config.courseLength;
+  dom.trainingCourses.value = config.trainingCourses;
+  dom.fitnessAggregate.value = config.fitnessAggregate;
+  Object.entries(dom.fitnessWeights).forEach(([key, input]) => {
+    input.value = config[key];
+  });
+  updateTrainingControlsVisibility();
+  dom.hurdleMode.value = config.hurdleMode;
+  dom.specialObstacles.checked = config.specialObstacles;
+  dom.promotionRate.value = Math.round(config.promotionRate * 100);
+  dom.promotionStreak.value = config.promotionStreak;
+  dom.demotionGenerations.value = config.demotionGenerations;
+  dom.levelSchedule.value = config.levelScheduleText;
+  updateLevelScheduleIssues();
+  updateManualHurdleVisibility();
+  updateMutationLabel(config.mutationRate);
+  if (dom.randomSeed) dom.randomSeed.value = config.seedText;
+  if (dom.runnerColor) dom.runnerColor.value = config.runnerColor;
+  if (dom.runnerCrashColor) dom.runnerCrashColor.value = config.runnerCrashColor;
+  if (dom.hurdleColor) dom.hurdleColor.value = config.hurdleColor;
+  if (dom.hurdleHitColor) dom.hurdleHitColor.value = config.hurdleHitColor;
+  if (dom.manualHurdles) dom.manualHurdles.value = config.manualHurdlesText;
+  updateManualHurdleIssues();
+}
+
+/**
+ * スコア推移のグラフに、レベルが変わった世代の境目の縦線と変更後のレベルを描く Chart.js プラグイン。
+ * 昇格は緑、降格は赤で、印は levelMarkers から読む。
+ */
+const levelMarkerPlugin = {
+  id: 'levelMarkers',
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea, scales } = chart;
+    ctx.save();
+    ctx.font = '11px "Segoe UI", "Meiryo", sans-serif';
+    ctx.textAlign = 'left';
+    levelMarkers.forEach(marker => {
+      // 前の世代の点との中間に線を引く。
+      const x = (scales.x.getPixelForValue(marker.index - 1) + scales.x.getPixelForValue(marker.index)) / 2;
+      if (x < chartArea.left || x > chartArea.right) return;
+      const markerColor = marker.up ? 'rgba(22, 163, 74, 0.8)' : 'rgba(220, 38, 38, 0.8)';
+      ctx.strokeStyle = markerColor;
+      ctx.fillStyle = markerColor;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillText(`${marker.up ? '▲' : '▼'} Lv${marker.level}`, x + 3, chartArea.top + 12);
+    });
+    ctx.restore();
+  }
+};
+
+/**
+ * Chart.js を用いたスコア推移の初期化。
+ */
+function initScoreChart() {
+  const ctx = document.getElementById('score-chart').getContext('2d');
+  scoreChart = new Chart(ctx, {
+    type: 'line',
+    plugins: [levelMarkerPlugin],
+    data: {
+      labels: [],
+      datasets: [
+        {
+          key: 'best',
+          label: '最長到達距離',
+          data: [],
+          borderColor: '#2563eb',
+          backgroundColor: 'rgba(37, 99, 235, 0.15)',
+          tension: 0.25,
+          fill: true,
+          pointRadius: 3
+        },
+        {
+          key: 'average',
+          label: '平均到達距離',
+          data: [],
+          borderColor: '#10b981',
+          backgroundColor: 'rgba(16, 185, 129, 0.15)',
+          tension: 0.25,
+          fill: true,
+          pointRadius: 3
+        },
+        {
+          key: 'fitness',
+          label: '最良適応度',
+          data: [],
+          borderColor: '#ef4444',
+          borderDash: [8, 3],
+          tension: 0.25,
+          fill: false,
+          pointRadius: 2
+        },
+        {
+          key: 'test',
+          label: '汎化テスト距離',
+          data: [],
+          borderColor: '#64748b',
+          borderDash: [4, 4],
+          tension: 0.25,
+          fill: false,
+          pointRadius: 2
+        },
+        {
+          key: 'mutationRate',
+          label: '実効突然変異率',
+          data: [],
+          yAxisID: 'ratio',
+          borderColor: '#a855f7',
+          borderDash: [6, 4],
+          tension: 0.25,
+          fill: false,
+          pointRadius: 0
+        },
+        {
+          key: 'diversity',
+          label: '多様性（平均遺伝子距離）',
+          data: [],
+          yAxisID: 'ratio',
+          borderColor: '#0891b2',
+          tension: 0.25,
+          fill: false,
+          pointRadius: 0
+        },
+        {
+          key: 'mutationStrength',
+          label: '変異強度 σ',
+          data: [],
+          yAxisID: 'ratio',
+          borderColor: '#f59e0b',
+          borderDash: [2, 3],
+          tension: 0.25,
+          fill: false,
+          pointRadius: 0
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: '世代'
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: '到達距離 / 適応度'
+          },
+          suggestedMin: 0,
+          suggestedMax: config.courseLength
+        },
+        ratio: {
+          position: 'right',
+          title: {
+            display: true,
+            text: '突然変異率 / σ / 多様性'
+          },
+          min: 0,
+          suggestedMax: 0.2,
+          grid: {
+            drawOnChartArea: false
+          }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: {
+            font: {
+              family: '"Segoe UI", "Meiryo", sans-serif'
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * パレートフロントの散布図を初期化する。横軸は到達距離、縦軸は完走フレーム数かジャンプ回数。
+ */
+function initParetoChart() {
+  const ctx = document.getElementById('pareto-chart').getContext('2d');
+  paretoChart = new Chart(ctx, {
+    type: 'scatter',
+    data: {
+      datasets: [
+        {
+          label: 'パレートフロント',
+          data: [],
+          borderColor: '#db2777',
+          backgroundColor: 'rgba(219, 39, 119, 0.6)',
+          showLine: true,
+          borderWidth: 1,
+          pointRadius: 4
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      aspectRatio: 1,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: '到達距離（大きいほど良い）'
+          },
+          suggestedMin: 0
+        },
+        y: {
+          title: {
+            display: true,
+            text: ''
+          },
+          suggestedMin: 0
+        }
+      },
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            label: item => {
+              const point = item.raw.point;
+              return `距離 ${point.distance} / ${point.frames} フレーム / ジャンプ ${point.jumps} 回`;
+            }
+          }
+        }
+      }
+    }
+  });
+  updateParetoChart([]);
+}
+
+/**
+ * パレートフロントの点を選択中の縦軸で描き直す。
+ */
+function updateParetoChart(front) {
+  paretoFrontPoints = front || [];
+  if (!paretoChart) return;
+  const yKey = dom.paretoYAxis ? dom.paretoYAxis.value : 'frames';
+  const objective = HurdleSim.PARETO_OBJECTIVES.find(item => item.key === yKey);
+  paretoChart.options.scales.y.title.text = `${objective.label}（小さいほど良い）`;
+  paretoChart.data.datasets[0].data = paretoFrontPoints.map(point => ({ x: point.distance, y: point[yKey], point }));
+  paretoChart.update('none');
+}
+
+/**
+ * Chart.js のデータをリセットする。
+ */
+function resetChart() {
+  if (!scoreChart) return;
+  scoreChart.data.labels = [];
+  scoreChart.data.datasets = scoreChart.data.datasets.filter(dataset => dataset.island == null);
+  scoreChart.data.datasets.forEach(dataset => {
+    dataset.data = [];
+  });
+  scoreChart.options.scales.y.suggestedMax = config.courseLength;
+  scoreChart.update('none');
+  updateParetoChart([]);
+  crashLog = [];
+  genomeLog = [];
+  levelMarkers = [];
+  chartLevel = null;
+  islandLog = [];
+}
+
+/**
+ * 記録済みの世代履歴からグラフを描き直す。
+ */
+function rebuildChart(history) {
+  resetChart();
+  history.forEach(record => {
+    appendChartData(record);
+    logGeneration(record);
+  });
+  updateGenerationSummary(history[history.length - 1]);
+}
+
+/**
+ * シミュレーションを初期状態に戻す。
+ */
+function resetSimulation() {
+  cancelTurbo();
+  closeReplay();
+  closeEditor(false);
+  selectRunner(null);
+  hideResultModal();
+  simulationState.resultShownGeneration = null;
+  simulation = new Simulation(config);
+  simulation
+    .on('generation', record => {
+      appendChartData(record);
+      logGeneration(record);
+      updateGenerationSummary(record);
+    })
+    .on('levelchange', handleLevelChange)
+    .on('complete', handleSimulationComplete);
+  updateSeedLabel();
+  updateLevelDisplay();
+  simulationState.running = true;
+  simulationState.halted = false;
+  simulationState.viewOffset = 0;
+  resetChart();
+  updateGenerationSummary(null);
+  updateDashboard(0, 0, 0);
+  updateButtonStates();
+}
+
+/**
+ * 使用中のシードを表示する。シード未指定時でも同じ実行を再現できるようにするため。
+ */
+function updateSeedLabel() {
+  if (dom.seedLabel) {
+    dom.seedLabel.textContent = `（使用中: ${simulation.seed}）`;
+  }
+}
+
+/**
+ * レベルが上がってコースが作り直されたときの表示更新。
+ */
+function handleLevelChange() {
+  updateLevelDisplay();
+  simulationState.viewOffset = 0;
+}
+
+/**
+ * 終了条件を満たしたらシミュレーションを止めて結果を表示する。
+ */
+function handleSimulationComplete(result) {
+  // Worker を使わない高速進化の途中なら、Worker のときと同じく結果を控えて finishTurbo() に任せる。
+  if (simulationState.turbo) {
+    simulationState.turbo.result = result;
+    return;
+  }
+  simulationState.running = false;
+  simulationState.halted = true;
+  updateButtonStates();
+  if (simulationState.resultShownGeneration !== result.generation) {
+    showResultModal(result);
+  }
+}
+
+/**
+ * 現在の個体群・コース・グラフ履歴を JSON ファイルとして保存する。
+ */
+function exportSnapshot() {
+  if (!simulation) return;
+  const file = {
+    format: SNAPSHOT_FILE_FORMAT,
+    version: SNAPSHOT_FILE_VERSION,
+    savedAt: new Date().toISOString(),
+    snapshot: simulation.toSnapshot()
+  };
+  const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hurdle-race-lv${simulation.level}-gen${simulation.generation}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 保存したスナップショットを読み込み、その世代から進化を再開する。
+ */
+function importSnapshot(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let snapshot;
+    try {
+      const parsed = JSON.parse(reader.result);
+      if (!parsed || parsed.format !== SNAPSHOT_FILE_FORMAT) {
+        throw new Error('このアプリで保存したスナップショットではありません。');
+      }
+      if (parsed.version > SNAPSHOT_FILE_VERSION) {
+        throw new Error(`新しい形式（バージョン ${parsed.version}）のファイルには対応していません。`);
+      }
+      snapshot = parsed.snapshot;
+      HurdleSim.validateSnapshot(snapshot);
+    } catch (error) {
+      window.alert(`スナップショットを読み込めませんでした：${error.message}`);
+      return;
+    }
+    applySnapshot(snapshot);
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * 検査済みのスナップショットをライブ表示へ反映する。
+ */
+function applySnapshot(snapshot) {
+  cancelTurbo();
+  closeReplay();
+  closeEditor(false);
+  selectRunner(null);
+  hideResultModal();
+  simulation.restoreSnapshot(snapshot);
+  syncControlsFromConfig();
+  updateSeedLabel();
+  updateLevelDisplay();
+  rebuildChart(simulation.history);
+  simulationState.resultShownGeneration = simulation.completed ? simulation.generation : null;
+  simulationState.running = !simulation.completed;
+  simulationState.halted = simulation.completed;
+  simulationState.viewOffset = 0;
+  updateDashboard(0, 0, 0);
+  updateButtonStates();
+}
+
+/**
+ * 描画を止め、現在の状態を Web Worker に渡して指定世代数だけ全速で進化させる。
+ * Worker を起動できない環境（file:// で開いた場合など）ではメインスレッドで少しずつ進める。
+ */
+function startTurbo() {
+  if (!simulation || simulationState.turbo) return;
+  closeReplay();
+  const generations = clamp(parseInt(dom.turboGenerations.value, 10) || 50, 1, 1000);
+  dom.turboGenerations.value = generations;
+  simulationState.turbo = {
+    worker: null,
+    target: generations,
+    done: 0,
+    resumeRunning: simulationState.running && !simulationState.halted,
+    result: null,
+    stopRequested: false
+  };
+  simulationState.halted = false;
+
+  const worker = createTurboWorker();
+  if (worker) {
+    simulationState.turbo.worker = worker;
+    worker.onmessage = handleTurboMessage;
+    worker.postMessage({ type: 'start', snapshot: simulation.toSnapshot(), generations });
+  } else {
+    setTimeout(runTurboSliceOnMainThread, 0);
+  }
+  updateButtonStates();
+}
+
+/**
+ * ターボ用の Worker を生成する。生成できなければ null を返す。
+ */
+function createTurboWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker('turbo-worker.js');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Worker から届いた世代結果をグラフとダッシュボードに反映する。
+ */
+function handleTurboMessage(event) {
+  const turbo = simulationState.turbo;
+  if (!turbo) return;
+  const message = event.data;
+  if (message.type === 'generation') {
+    turbo.done += 1;
+    const record = message.record;
+    appendChartData(record);
+    logGeneration(record);
+    updateGenerationSummary(record);
+    updateDashboard(record.averageDistance, record.bestDistance, record.dropouts, record.generation);
+  } else if (message.type === 'levelchange') {
+    updateLevelDisplay(message.level);
+  } else if (message.type === 'complete') {
+    turbo.result = message.result;
+  } else if (message.type === 'done') {
+    // Worker で進めた個体群をライブ表示へ引き継ぐ。高速進化の間に画面で変えた設定は Worker の古い設定で上書きしない。
+    simulation.restoreSnapshot(message.snapshot, true);
+    rebuildChart(simulation.history);
+    finishTurbo();
+  }
+}
+
+/**
+ * Worker が使えない場合の代替実行。一定時間ずつ世代を進めて描画の応答性を保つ。
+ */
+function runTurboSliceOnMainThread() {
+  const turbo = simulationState.turbo;
+  if (!turbo) return;
+  const sliceStart = performance.now();
+  while (!turbo.stopRequested && turbo.done < turbo.target && !simulation.completed) {
+    simulation.runGeneration();
+    turbo.done += 1;
+    if (performance.now() - sliceStart >= 50) {
+      setTimeout(runTurboSliceOnMainThread, 0);
+      return;
+    }
+  }
+  finishTurbo();
+}
+
+/**
+ * 実行中の世代が終わったところで高速進化を打ち切る。
+ */
+function stopTurbo() {
+  const turbo = simulationState.turbo;
+  if (!turbo) return;
+  turbo.stopRequested = true;
+  if (turbo.worker) {
+    turbo.worker.postMessage({ type: 'stop' });
+  }
+  updateButtonStates();
+}
+
+/**
+ * 高速進化を結果を引き継がずに破棄する（リセット時など）。
+ */
+function cancelTurbo() {
+  const turbo = simulationState.turbo;
+  if (!turbo) return;
+  if (turbo.worker) {
+    turbo.worker.terminate();
+  }
+  simulationState.turbo = null;
+}
+
+/**
+ * 高速進化の後片付けをして、ライブ表示での再生に戻す。
+ */
+function finishTurbo() {
+  const turbo = simulationState.turbo;
+  if (turbo.worker) {
+    turbo.worker.terminate();
+  }
+  simulationState.turbo = null;
+  simulationState.viewOffset = 0;
+  simulationState.running = turbo.resumeRunning;
+  updateLevelDisplay();
+  updateButtonStates();
+  if (turbo.result) {
+    handleSimulationComplete(turbo.result);
+  }
+}
+
+/**
+ * 実験の条件表の下に、組み合わせと実行の数、書式の誤りを一覧で表示する。
+ */
+function updateExperimentGridIssues() {
+  if (!dom.experimentGridIssues) return;
+  const grid = HurdleSim.parseExperimentGrid(dom.experimentGrid.value);
+  const cellCount = HurdleSim.expandExperimentGrid(grid.parameters).length;
+  const repetitions = parseInt(dom.experimentRepetitions.value, 10) || 1;
+  renderIssueList(
+    dom.experimentGridIssues,
+    `${cellCount} 条件 × ${repetitions} 回 = ${cellCount * repetitions} 回の実行` +
+      (grid.parameters.length ? '' : '（振る項目がないので今の設定だけを走らせます）'),
+    grid.issues
+  );
+}
+
+/**
+ * 実験を始める。条件表のすべての組み合わせを繰り返し回数ずつ、今の設定を基準にして描画なしで走らせる。
+ * 繰り返しの n 回目はどの条件でも同じシード（基準シード-n）にして、条件どうしを同じ乱数で比べられるようにする。
+ */
+function startExperiment() {
+  if (simulationState.experiment) return;
+  const grid = HurdleSim.parseExperimentGrid(dom.experimentGrid.value);
+  updateExperimentGridIssues();
+  if (grid.issues.some(issue => issue.severity === 'error')) return;
+  const repetitions = clamp(parseInt(dom.experimentRepetitions.value, 10) || 1, 1, 20);
+  const cells = HurdleSim.expandExperimentGrid(grid.parameters);
+  const baseSeed = config.seedText || String(Math.floor(Math.random() * 4294967296));
+  // 条件表の値がそのまま効くように、比較モードは切って走らせる。
+  const base = { ...config, recordTrails: false, comparisonMode: false };
+  const runs = [];
+  cells.forEach((cell, cellIndex) => {
+    for (let repetition = 0; repetition < repetitions; repetition++) {
+      runs.push({ cell: cellIndex, repetition, settings: { ...base, ...cell, seedText: `${baseSeed}-${repetition + 1}` } });
+    }
+  });
+  experimentResults = { parameters: grid.parameters, cells, repetitions, baseSeed, runs, results: runs.map(() => null) };
+  simulationState.experiment = { worker: null, done: 0, stopRequested: false, index: 0, simulation: null };
+  const worker = createTurboWorker();
+  if (worker) {
+    simulationState.experiment.worker = worker;
+    worker.onmessage = handleExperimentMessage;
+    worker.postMessage({ type: 'experiment', runs: runs.map(run => ({ settings: run.settings })) });
+  } else {
+    setTimeout(runExperimentSliceOnMainThread, 0);
+  }
+  updateExperimentResults();
+  updateButtonStates();
+}
+
+/**
+ * Worker から届いた実験の結果を控える。
+ */
+function handleExperimentMessage(event) {
+  if (!simulationState.experiment) return;
+  const message = event.data;
+  if (message.type === 'run') {
+    recordExperimentRun(message.index, message.result);
+  } else if (message.type === 'experimentdone') {
+    finishExperiment();
+  }
+}
+
+/**
+ * Worker が使えない場合の代替実行。一定時間ずつ世代を進めて描画の応答性を保つ。
+ */
+function runExperimentSliceOnMainThread() {
+  const experiment = simulationState.experiment;
+  if (!experiment) return;
+  const sliceStart = performance.now();
+  while (!experiment.stopRequested && experiment.index < experimentResults.runs.length) {
+    if (!experiment.simulation) {
+      experiment.simulation = new Simulation(experimentResults.runs[experiment.index].settings);
+    }
+    experiment.simulation.runGeneration();
+    if (experiment.simulation.completed) {
+      recordExperimentRun(experiment.index, HurdleSim.summarizeRun(experiment.simulation));
+      experiment.simulation = null;
+      experiment.index += 1;
+    }
+    if (performance.now() - sliceStart >= 50) {
+      setTimeout(runExperimentSliceOnMainThread, 0);
+      return;
+    }
+  }
+  finishExperiment();
+}
+
+/**
+ * 1 回分の結果を控え、表とグラフを更新する。
+ */
+function recordExperimentRun(index, result) {
+  experimentResults.results[index] = result;
+  simulationState.experiment.done += 1;
+  updateExperimentResults();
+  updateButtonStates();
+}
+
+/**
+ * 実行中の 1 回分を終えずに実験を打ち切る。それまでに終えた実行の結果は残す。
+ */
+function stopExperiment() {
+  const experiment = simulationState.experiment;
+  if (!experiment) return;
+  experiment.stopRequested = true;
+  if (experiment.worker) {
+    experiment.worker.postMessage({ type: 'stop' });
+  }
+  updateButtonStates();
+}
+
+/**
+ * 実験の後片付けをする。
+ */
+function finishExperiment() {
+  const experiment = simulationState.experiment;
+  if (experiment.worker) {
+    experiment.worker.terminate();
+  }
+  simulationState.experiment = null;
+  updateExperimentResults();
+  updateButtonStates();
+}
+
+/**
+ * 条件の上書き値を「表示名=値」の並びにする。
+ */
+function describeExperimentCell(cell) {
+  const entries = Object.entries(cell);
+  if (entries.length === 0) return '今の設定';
+  return entries.map(([key, value]) => `${HurdleSim.EXPERIMENT_PARAMETERS[key].label}=${value}`).join(', ');
+}
+
+/**
+ * 条件ごとに、終えた実行の結果を平均と標準偏差にまとめる。
+ */
+function getExperimentSummaries() {
+  return experimentResults.cells.map((cell, cellIndex) => {
+    const runs = experimentResults.results.filter((result, index) => result && experimentResults.runs[index].cell === cellIndex);
+    return { cell, ...HurdleSim.summarizeExperimentCell(runs) };
+  });
+}
+
+/**
+ * 平均 ± 標準偏差の表記。値がなければ '-'。
+ */
+function formatMeanStd(stat, digits) {
+  return stat.mean === null ? '-' : `${stat.mean.toFixed(digits)} ± ${stat.std.toFixed(digits)}`;
+}
+
+/**
+ * 実験の進み具合、結果の表とグラフを描き直す。
+ */
+function updateExperimentResults() {
+  if (!dom.experimentTable || !experimentResults) return;
+  const total = experimentResults.runs.length;
+  const done = experimentResults.results.filter(Boolean).length;
+  const experiment = simulationState.experiment;
+  let status = `${done} / ${total} 回の実行を終えました（基準シード ${experimentResults.baseSeed}）`;
+  if (experiment) {
+    status = `実験中… ${status}`;
+  } else if (done < total) {
+    status += '。途中で打ち切りました';
+  }
+  dom.experimentProgress.textContent = status;
+
+  const summaries = getExperimentSummaries();
+  const body = dom.experimentTable.tBodies[0];
+  body.innerHTML = '';
+  summaries.forEach(summary => {
+    const row = body.insertRow();
+    [
+      describeExperimentCell(summary.cell),
+      `${summary.finished} / ${summary.runs}`,
+      formatMeanStd(summary.generationsToFinish, 1),
+      formatMeanStd(summary.bestDistance, 1),
+      formatMeanStd(summary.finalLevel, 2)
+    ].forEach(value => {
+      row.insertCell().textContent = value;
+    });
+  });
+
+  if (!experimentChart) return;
+  experimentChart.data.labels = summaries.map(summary => describeExperimentCell(summary.cell));
+  const [best, generations, level] = experimentChart.data.datasets;
+  best.data = summaries.map(summary => summary.bestDistance.mean);
+  best.deviations = summaries.map(summary => summary.bestDistance.std);
+  generations.data = summaries.map(summary => summary.generationsToFinish.mean);
+  generations.deviations = summaries.map(summary => summary.generationsToFinish.std);
+  level.data = summaries.map(summary => summary.finalLevel.mean);
+  level.deviations = summaries.map(summary => summary.finalLevel.std);
+  experimentChart.update('none');
+}
+
+/**
+ * 実験結果のグラフを初期化する。条件ごとの最長到達距離と初完走までの世代を棒で、最終レベルを点で描く。
+ */
+function initExperimentChart() {
+  const canvas = document.getElementById('experiment-chart');
+  if (!canvas) return;
+  experimentChart = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: [],
+      datasets: [
+        {
+          label: '最長到達距離（平均）',
+          data: [],
+          backgroundColor: 'rgba(37, 99, 235, 0.6)'
+        },
         {
-          label: '最長到達距離',
+          label: '初完走までの世代（平均）',
           data: [],
-          borderColor: '#2563eb',
-          backgroundColor: 'rgba(37, 99, 235, 0.15)',
-          tension: 0.25,
-          fill: true,
-          pointRadius: 3
+          yAxisID: 'generations',
+          backgroundColor: 'rgba(16, 185, 129, 0.6)'
         },
         {
-          label: '平均到達距離',
+          type: 'line',
+          label: '最終レベル（平均）',
           data: [],
-          borderColor: '#10b981',
-          backgroundColor: 'rgba(16, 185, 129, 0.15)',
-          tension: 0.25,
-          fill: true,
-          pointRadius: 3
+          yAxisID: 'level',
+          borderColor: '#f59e0b',
+          backgroundColor: '#f59e0b',
+          showLine: false,
+          pointRadius: 5
         }
       ]
     },
@@ -375,26 +2544,28 @@ function initScoreChart() {
       responsive: true,
       maintainAspectRatio: false,
       scales: {
-        x: {
-          title: {
-            display: true,
-            text: '世代'
-          }
-        },
         y: {
-          title: {
-            display: true,
-            text: '到達距離'
-          },
-          suggestedMin: 0,
-          suggestedMax: config.courseLength
+          title: { display: true, text: '到達距離' },
+          beginAtZero: true
+        },
+        generations: {
+          position: 'right',
+          title: { display: true, text: '世代 / レベル' },
+          beginAtZero: true,
+          grid: { drawOnChartArea: false }
+        },
+        level: {
+          display: false,
+          beginAtZero: true
         }
       },
       plugins: {
-        legend: {
-          labels: {
-            font: {
-              family: '"Segoe UI", "Meiryo", sans-serif'
+        tooltip: {
+          callbacks: {
+            label: item => {
+              const deviation = (item.dataset.deviations || [])[item.dataIndex];
+              if (item.raw === null) return `${item.dataset.label}: -`;
+              return `${item.dataset.label}: ${item.raw.toFixed(2)} ± ${(deviation || 0).toFixed(2)}`;
             }
           }
         }
@@ -404,216 +2575,248 @@ function initScoreChart() {
 }
 
 /**
- * Chart.js のデータをリセットする。
+ * 実験結果を CSV ファイルとして保存する。kind が 'summary' なら条件ごとの集計、'runs' なら実行ごとの結果。
  */
-function resetChart() {
-  if (!scoreChart) return;
-  scoreChart.data.labels = [];
-  scoreChart.data.datasets.forEach(dataset => {
-    dataset.data = [];
-  });
-  scoreChart.options.scales.y.suggestedMax = config.courseLength;
-  scoreChart.update('none');
+function exportExperimentCsv(kind) {
+  if (!experimentResults) return;
+  const keys = experimentResults.parameters.map(parameter => parameter.key);
+  let rows;
+  if (kind === 'summary') {
+    rows = [[...keys, 'runs', 'finished', 'generations_to_finish_mean', 'generations_to_finish_std',
+      'best_distance_mean', 'best_distance_std', 'final_level_mean', 'final_level_std']];
+    getExperimentSummaries().forEach(summary => {
+      rows.push([
+        ...keys.map(key => summary.cell[key]),
+        summary.runs,
+        summary.finished,
+        summary.generationsToFinish.mean,
+        summary.generationsToFinish.std,
+        summary.bestDistance.mean,
+        summary.bestDistance.std,
+        summary.finalLevel.mean,
+        summary.finalLevel.std
+      ]);
+    });
+  } else {
+    rows = [[...keys, 'repetition', 'seed', 'generations_to_finish', 'best_distance', 'final_level', 'generations', 'stop_reason']];
+    experimentResults.runs.forEach((run, index) => {
+      const result = experimentResults.results[index];
+      if (!result) return;
+      rows.push([
+        ...keys.map(key => experimentResults.cells[run.cell][key]),
+        run.repetition + 1,
+        run.settings.seedText,
+        result.generationsToFinish,
+        result.bestDistance,
+        result.finalLevel,
+        result.generations,
+        result.stopReason
+      ]);
+    });
+  }
+  const csv = rows
+    .map(row => row.map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','))
+    .join('\n');
+  const blob = new Blob([`${csv}\n`], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hurdle-race-experiment-${kind}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
 /**
- * シミュレーションを初期状態に戻す。
+ * ダッシュボードの UI 更新。高速進化中は Worker から届いた世代番号を generation で渡す。
  */
-function resetSimulation() {
-  hideResultModal();
-  simulationState.finalModalShown = false;
-  simulationState.level = 1;
-  simulationState.levelBestDistance = 0;
-  applyDifficultySettings();
-  updateLevelDisplay();
-  resetObstacles();
-  population = new Population(config);
-  simulationState.running = true;
-  simulationState.halted = false;
-  simulationState.viewOffset = 0;
-  resetChart();
-  updateDashboard(0, 0, 0);
-  updateButtonStates();
+function updateDashboard(avgDistance, bestDistance, dropoutCount, generation) {
+  if (!dom.currentGeneration) return;
+
+  const displayGeneration = generation || (simulation ? simulation.generation : 1);
+  dom.currentGeneration.textContent = displayGeneration.toString();
+  dom.averageDistance.textContent = avgDistance ? avgDistance.toFixed(1) : '0.0';
+  const levelBest = generation
+    ? bestDistance
+    : (simulation && simulation.levelBestDistance) || bestDistance || 0;
+  dom.bestDistance.textContent = levelBest ? levelBest.toFixed(1) : '0.0';
+  if (dom.dropoutCount) {
+    dom.dropoutCount.textContent = dropoutCount != null ? String(dropoutCount) : '0';
+  }
 }
 
 /**
- * 現在の設定に基づきハードルを生成し直す。
+ * 世代の区切りで確定する値（適応度、多様性、複数コースの集計距離、汎化テスト距離とパレートフロント）を表示する。
  */
-function resetObstacles() {
-  applyDifficultySettings();
-  if (config.hurdleMode === 'manual') {
-    obstacles = parseManualHurdles(config.manualHurdlesText);
-  } else {
-    obstacles = generateRandomHurdles(config.courseLength);
+function updateGenerationSummary(record) {
+  if (dom.diversityValue) {
+    dom.diversityValue.textContent = record && record.diversity != null
+      ? `${record.diversity.toFixed(3)} / ${record.speciesCount}`
+      : '0.000';
+  }
+  updateParetoChart(record && record.paretoFront ? record.paretoFront : []);
+  updateCrashTable(record);
+  updateComparisonTable(record);
+  updateCurriculumProgress(record);
+  drawGenomeHeatmap();
+  if (dom.fitnessValue) {
+    dom.fitnessValue.textContent = record && record.bestFitness != null
+      ? `${record.bestFitness.toFixed(1)} / ${record.averageFitness.toFixed(1)}`
+      : '0.0';
+  }
+  if (dom.aggregateDistance) {
+    dom.aggregateDistance.textContent = record ? record.bestAggregateDistance.toFixed(1) : '0.0';
+  }
+  if (dom.testDistance) {
+    dom.testDistance.textContent = record ? record.testDistance.toFixed(1) : '0.0';
   }
-  clearObstacleHits();
 }
 
 /**
- * ハードルの手動配置入力を解析する。
+ * レベル表示の横に、昇格・降格の条件をどこまで満たしているかを表示する。既定の規則（1 体でも完走すれば昇格）では表示しない。
  */
-function parseManualHurdles(text) {
-  if (!text) return [];
-  const runnerDiameter = config.runnerRadius * 2;
-  const level = simulationState.level || 1;
-  const difficulty = getLevelDifficulty(level);
-  const heightBoost = 1 + (level - 1) * 0.15;
-  const entries = text
-    .split(',')
-    .map(str => str.trim())
-    .filter(Boolean)
-    .map((entry, idx) => {
-      const [posStr, heightStr] = entry.split(':').map(part => part.trim());
-      const position = parseFloat(posStr);
-      if (Number.isNaN(position) || position <= 50 || position >= config.courseLength - 40) {
-        return null;
-      }
-      let multiplier = heightStr !== undefined ? parseFloat(heightStr) : 1.5;
-      if (Number.isNaN(multiplier)) {
-        multiplier = 1.5;
-      }
-      multiplier = clamp(
-        multiplier * heightBoost,
-        BASE_MANUAL_MIN_MULTIPLIER,
-        config.maxHurdleHeightMultiplier
-      );
-      if (multiplier < difficulty.minMultiplier) {
-        multiplier = difficulty.minMultiplier;
-      }
-      return {
-        id: `manual-${idx}`,
-        x: position,
-        width: 14,
-        height: runnerDiameter * multiplier,
-        hit: false
-      };
-    })
-    .filter(Boolean);
-  let combined = entries;
-
-  if (combined.length === 0) {
-    return generateRandomHurdles(config.courseLength);
+function updateCurriculumProgress(record) {
+  if (!dom.curriculumProgress) return;
+  const parts = [];
+  const streak = Math.max(1, Math.round(config.promotionStreak) || 1);
+  if (record && (streak > 1 || config.promotionRate > 0)) {
+    const condition = config.promotionRate > 0 ? `完走率 ${Math.round(config.promotionRate * 100)}% 以上` : '完走者あり';
+    parts.push(`昇格まで ${record.promotionStreak || 0} / ${streak} 世代（${condition}）`);
   }
-
-  if (level > 1) {
-    const extraPool = generateRandomHurdles(config.courseLength);
-    const extraCount = Math.min(extraPool.length, level + Math.ceil(combined.length / 2));
-    combined = combined.concat(extraPool.slice(0, extraCount));
+  if (record && config.demotionGenerations > 0 && record.level > 1) {
+    parts.push(`完走者なし ${record.demotionStreak || 0} / ${config.demotionGenerations} 世代で降格`);
   }
-
-  return enforceObstacleSpacing(combined);
+  dom.curriculumProgress.textContent = parts.join(' ・ ');
 }
 
 /**
- * ランダムなハードル配置を生成。
+ * 世代の障害物別衝突数と平均遺伝子、島ごとの結果を控える。レベルが変わるとコースも変わるので、衝突数は同じレベルの世代だけを残す。
  */
-function generateRandomHurdles(length) {
-  const runnerDiameter = config.runnerRadius * 2;
-  const level = simulationState.level || 1;
-  const difficulty = config.currentDifficulty || getLevelDifficulty(level);
-  const divisor = BASE_RANDOM_HURDLE_DIVISOR / difficulty.countBoost;
-  const hurdleCount = Math.max(6 + (level - 1), Math.round(length / divisor));
-  const segmentLength = Math.max((length - 240) / hurdleCount, runnerDiameter * 1.8);
-  const hurdles = [];
-  let segmentStart = 120;
-
-  for (let i = 0; i < hurdleCount; i++) {
-    const widthRange = Math.max(difficulty.widthMax - difficulty.widthMin, 0.0001);
-    const rawWidth = difficulty.widthMin + Math.random() * widthRange;
-    const width = clamp(rawWidth, difficulty.widthMin, difficulty.widthMax);
-    const multiplierRange = Math.max(difficulty.maxMultiplier - difficulty.minMultiplier, 0.0001);
-    const rawMultiplier = difficulty.minMultiplier + Math.random() * multiplierRange;
-    const multiplier = clamp(rawMultiplier, difficulty.minMultiplier, difficulty.maxMultiplier);
-    const height = runnerDiameter * multiplier;
-    const segmentEnd = segmentStart + segmentLength;
-    let maxPosition = Math.min(length - 140 - width, segmentEnd - width);
-    let minPosition = Math.max(segmentStart, 80 + i * 20);
-    if (maxPosition <= minPosition) {
-      maxPosition = minPosition + config.runnerRadius * 4;
-    }
-    const positionRange = Math.max(maxPosition - minPosition, config.runnerRadius);
-    const position = clamp(minPosition + Math.random() * positionRange, minPosition, maxPosition);
-    hurdles.push({
-      id: `rand-${i}`,
-      x: position,
-      width,
-      height,
-      hit: false
-    });
-    const spacingModifier = 0.5 + Math.random() * 0.6;
-    segmentStart += segmentLength * spacingModifier;
-    segmentStart = Math.min(segmentStart, length - 180);
+function logGeneration(record) {
+  if (record.meanGenome) {
+    genomeLog.push(record.meanGenome);
   }
-
-  return enforceObstacleSpacing(hurdles);
+  if (record.islands) {
+    islandLog.push({ generation: record.generation, islands: record.islands });
+  }
+  if (!record.crashes) return;
+  if (crashLog.length && crashLog[crashLog.length - 1].level !== record.level) {
+    crashLog = [];
+  }
+  crashLog.push({ level: record.level, crashes: record.crashes });
 }
 
 /**
- * ハードル間の最小間隔を強制する。
+ * 障害物ごとの衝突表を更新する。今の世代の面別の数に加え、直近の推移と同じコースでの累計を並べ、
+ * 今の世代で最も多くの個体を止めた障害物を強調する。
  */
-function enforceObstacleSpacing(hurdles) {
-  if (!hurdles || hurdles.length === 0) return [];
-  const sorted = [...hurdles].sort((a, b) => a.x - b.x);
-  const filtered = [];
-  sorted.forEach(current => {
-    const candidate = { ...current, hit: false };
-    if (filtered.length === 0) {
-      candidate.x = Math.max(candidate.x, 80);
-      filtered.push(candidate);
-      return;
-    }
-    const prev = filtered[filtered.length - 1];
-    const prevRight = prev.x + prev.width;
-    const gap = candidate.x - prevRight;
-    const minGap = config.hurdleMinGapFactor * Math.max(prev.width, candidate.width);
-    let adjustedX = candidate.x;
-    if (gap < minGap) {
-      adjustedX = prevRight + minGap;
-    }
-    const maxAllowed = config.courseLength - 80 - candidate.width;
-    adjustedX = clamp(adjustedX, prevRight + minGap, maxAllowed);
-    if (adjustedX > prevRight) {
-      candidate.x = adjustedX;
-      filtered.push(candidate);
+function updateCrashTable(record) {
+  if (!dom.crashTable) return;
+  const body = dom.crashTable.tBodies[0];
+  body.innerHTML = '';
+  if (!record || !record.crashes) return;
+  const sameCourse = crashLog.filter(entry => entry.level === record.level);
+  const recent = sameCourse.slice(-CRASH_TREND_LENGTH);
+  const worst = Math.max(0, ...record.crashes.map(sumCrashes));
+  record.crashes.forEach((crash, index) => {
+    const trend = recent.map(entry => {
+      const past = entry.crashes[index];
+      return past ? sumCrashes(past) : 0;
+    });
+    const cumulative = sameCourse.reduce((acc, entry) => acc + (entry.crashes[index] ? sumCrashes(entry.crashes[index]) : 0), 0);
+    const row = body.insertRow();
+    if (worst > 0 && sumCrashes(crash) === worst) {
+      row.className = 'bottleneck';
     }
+    const type = HurdleSim.OBSTACLE_TYPES[crash.type || 'hurdle'];
+    [
+      crash.id,
+      type.label,
+      crash.x.toFixed(0),
+      crash.type === 'pit' ? '-' : crash.height.toFixed(0),
+      ...Object.keys(CRASH_SIDE_COLORS).map(side => (crash[side] != null ? crash[side] : '-')),
+      trend.join(' → '),
+      cumulative
+    ].forEach(value => {
+      row.insertCell().textContent = value;
+    });
   });
-  return filtered;
 }
 
 /**
- * ハードルの当たり判定フラグをリセットする。
+ * 上位 N 個体の軌跡を選んだときだけ N の入力欄を表示する。
  */
-function clearObstacleHits() {
-  if (!Array.isArray(obstacles)) return;
-  obstacles.forEach(obstacle => {
-    obstacle.hit = false;
-  });
+function updateTrailControlsVisibility() {
+  if (dom.trailCountGroup) {
+    dom.trailCountGroup.hidden = dom.trailMode.value !== 'top';
+  }
 }
 
 /**
- * ダッシュボードの UI 更新。
+ * key を指定してグラフのデータセットを取り出す。
  */
-function updateDashboard(avgDistance, bestDistance, dropoutCount) {
-  if (!dom.currentGeneration) return;
+function getChartDataset(key) {
+  return scoreChart.data.datasets.find(dataset => dataset.key === key);
+}
 
-  dom.currentGeneration.textContent = population ? population.generation.toString() : '1';
-  dom.averageDistance.textContent = avgDistance ? avgDistance.toFixed(1) : '0.0';
-  const levelBest = simulationState.levelBestDistance || bestDistance || 0;
-  dom.bestDistance.textContent = levelBest ? levelBest.toFixed(1) : '0.0';
-  if (dom.dropoutCount) {
-    dom.dropoutCount.textContent = dropoutCount != null ? String(dropoutCount) : '0';
+/**
+ * グラフや表で使う島 index の名前。比較モードでは 設定A・設定B。
+ */
+function getIslandLabel(index) {
+  return config.comparisonMode ? `設定${HurdleSim.COMPARISON_LANES[index]}` : `島${index + 1}`;
+}
+
+/**
+ * 島 index の最長到達距離の線。まだなければ作り、それまでの世代は空欄で埋める。
+ */
+function getIslandDataset(index) {
+  let dataset = scoreChart.data.datasets.find(item => item.island === index);
+  if (!dataset) {
+    const color = ISLAND_COLORS[index % ISLAND_COLORS.length];
+    dataset = {
+      key: `island-${index}`,
+      island: index,
+      label: `${getIslandLabel(index)} 最長到達距離`,
+      data: new Array(scoreChart.data.labels.length - 1).fill(null),
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 1.5,
+      tension: 0.25,
+      fill: false,
+      pointRadius: 0
+    };
+    scoreChart.data.datasets.push(dataset);
   }
+  return dataset;
 }
 
 /**
- * Chart.js に新しいデータを追加する。
+ * Chart.js に 1 世代分の結果（世代履歴のレコード）を追加する。
  */
-function appendChartData(generation, avgDistance, bestDistance) {
+function appendChartData(record) {
   if (!scoreChart) return;
-  scoreChart.data.labels.push(`第${generation}世代`);
-  scoreChart.data.datasets[0].data.push(bestDistance);
-  scoreChart.data.datasets[1].data.push(avgDistance);
-  scoreChart.options.scales.y.suggestedMax = Math.max(config.courseLength, bestDistance * 1.1);
+  if (chartLevel !== null && record.level !== chartLevel) {
+    levelMarkers.push({ index: scoreChart.data.labels.length, level: record.level, up: record.level > chartLevel });
+  }
+  chartLevel = record.level;
+  scoreChart.data.labels.push(`第${record.generation}世代`);
+  getChartDataset('best').data.push(record.bestDistance);
+  getChartDataset('average').data.push(record.averageDistance);
+  getChartDataset('fitness').data.push(record.bestFitness != null ? record.bestFitness : null);
+  getChartDataset('test').data.push(record.testDistance != null ? record.testDistance : null);
+  getChartDataset('mutationRate').data.push(record.mutationRate != null ? record.mutationRate : null);
+  if (record.islands) {
+    record.islands.forEach((island, index) => {
+      getIslandDataset(index).data.push(island.bestDistance);
+    });
+  }
+  getChartDataset('diversity').data.push(record.diversity != null ? record.diversity : null);
+  getChartDataset('mutationStrength').data.push(record.mutationStrength != null ? record.mutationStrength : null);
+  scoreChart.options.scales.y.suggestedMax = Math.max(config.courseLength, record.bestDistance * 1.1, (record.bestFitness || 0) * 1.1);
   scoreChart.update('none');
 }
 
@@ -627,513 +2830,460 @@ function updateMutationLabel(value) {
   }
 }
 
+/**
+ * 交叉率を表記するラベルの更新。
+ */
+function updateCrossoverRateLabel(value) {
+  if (dom.crossoverRateLabel) {
+    dom.crossoverRateLabel.textContent = `${Math.round(value * 100)}%`;
+  }
+}
+
 /**
  * 手動配置テキストエリアの表示制御。
  */
 function updateManualHurdleVisibility() {
   if (!dom.manualHurdleGroup) return;
-  dom.manualHurdleGroup.style.display = config.hurdleMode === 'manual' ? 'flex' : 'none';
+  const visible = config.hurdleMode === 'manual' || Boolean(simulationState.editor);
+  dom.manualHurdleGroup.style.display = visible ? 'flex' : 'none';
 }
 
 /**
- * 再生・停止ボタンの表示や有効状態を更新する。
+ * 手動配置の入力欄の下に、書式の誤りや、範囲・高さ・間隔のために調整される項目を一覧で表示する。
  */
-function updateButtonStates() {
-  if (!dom.togglePlay) return;
-  dom.togglePlay.textContent = simulationState.running && !simulationState.halted ? '一時停止' : '再生';
-  if (dom.stopSimulation) {
-    dom.stopSimulation.disabled = simulationState.halted;
-  }
+function updateManualHurdleIssues() {
+  if (!dom.manualHurdleIssues) return;
+  const result = HurdleSim.checkManualCourse(dom.manualHurdles.value, config);
+  renderIssueList(
+    dom.manualHurdleIssues,
+    result.sections.length
+      ? result.sections.map(section => `レベル ${section.level} 〜: ${section.count} 個`).join(' / ')
+      : '配置する項目がありません',
+    result.issues
+  );
 }
 
 /**
- * 現在のレベルに応じたパラメータを算出する。
+ * レベル予定表の入力欄の下に、上書きするレベルの範囲と書式の誤りを一覧で表示する。
  */
-function getLevelDifficulty(level) {
-  const effectiveLevel = Math.max(1, level || 1);
-  const growth = 1 + (effectiveLevel - 1) * 0.2;
-  const gapFactor = Math.max(0.85, config.hurdleMinGapFactorBase / growth);
-  const countBoost = 1 + (effectiveLevel - 1) * 0.25;
-  const maxMultiplierLimit = config.maxHurdleHeightMultiplier || 5;
-  const minMultiplier = Math.min(maxMultiplierLimit, 1.6 + (effectiveLevel - 1) * 0.2);
-  const maxMultiplier = Math.min(maxMultiplierLimit, 2.5 + (effectiveLevel - 1) * 0.35);
-  const widthMin = Math.max(8, 12 - (effectiveLevel - 1) * 0.7);
-  const widthMax = Math.max(widthMin + 2, 18 - (effectiveLevel - 1) * 0.4);
-  return { gapFactor, countBoost, minMultiplier, maxMultiplier, widthMin, widthMax };
+function updateLevelScheduleIssues() {
+  if (!dom.levelScheduleIssues) return;
+  const result = HurdleSim.parseLevelSchedule(dom.levelSchedule.value);
+  renderIssueList(
+    dom.levelScheduleIssues,
+    result.rules.length
+      ? result.rules
+        .map(rule => {
+          const levels = rule.to === Infinity ? `レベル ${rule.from} 〜` : rule.to === rule.from ? `レベル ${rule.from}` : `レベル ${rule.from}〜${rule.to}`;
+          return `${levels}: ${Object.keys(rule.values).join('・')}`;
+        })
+        .join(' / ')
+      : '上書きなし（すべて既定の難易度）',
+    result.issues
+  );
 }
 
 /**
- * レベルに応じた難易度設定を反映する。
+ * 入力欄の下の一覧を、要約の行と issues（{ severity, line, entry, message }）の行で作り直す。
  */
-function applyDifficultySettings() {
-  const difficulty = getLevelDifficulty(simulationState.level);
-  config.hurdleMinGapFactor = difficulty.gapFactor;
-  config.currentDifficulty = difficulty;
+function renderIssueList(list, summaryText, issues) {
+  list.innerHTML = '';
+  const summary = document.createElement('li');
+  summary.className = 'course-issue summary';
+  summary.textContent = summaryText;
+  list.appendChild(summary);
+  issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.className = `course-issue ${issue.severity}`;
+    const label = issue.severity === 'error' ? 'エラー' : '注意';
+    const where = issue.line ? `${issue.line} 行目「${issue.entry}」: ` : '';
+    item.textContent = `${label} ${where}${issue.message}`;
+    list.appendChild(item);
+  });
 }
 
 /**
- * レベル表示を更新する。
+ * 正規ノイズを使うとき（ガウス型または自己適応）だけ σ の入力欄を表示する。
  */
-function updateLevelDisplay() {
-  if (!dom.currentLevel) return;
-  dom.currentLevel.textContent = simulationState.level.toString();
+function updateMutationControlsVisibility() {
+  if (!dom.mutationSigmaGroup) return;
+  const usesSigma = config.mutationType === 'gaussian' || config.mutationSchedule === 'self-adaptive';
+  dom.mutationSigmaGroup.style.display = usesSigma ? 'flex' : 'none';
 }
 
 /**
- * レベルを上げ、ハードルを再配置する。
+ * 複数コース訓練モード（コース数 2 以上）のときだけ集計方法と集計距離を表示する。
  */
-function increaseLevel() {
-  simulationState.level += 1;
-  simulationState.levelBestDistance = 0;
-  applyDifficultySettings();
-  updateLevelDisplay();
-  simulationState.viewOffset = 0;
-  resetObstacles();
+function updateTrainingControlsVisibility() {
+  const training = config.trainingCourses > 1;
+  if (dom.fitnessAggregateGroup) {
+    dom.fitnessAggregateGroup.style.display = training ? 'flex' : 'none';
+  }
+  if (dom.aggregateDistanceItem) {
+    dom.aggregateDistanceItem.style.display = training ? 'flex' : 'none';
+  }
 }
 
 /**
- * 最終結果モーダルを表示する。
+ * 島ごとの設定欄（突然変異率・選択方式・トーナメントサイズ）を島の数だけ作り直す。空欄は共通設定を使う。
  */
-function showResultModal(bestDistance) {
-  if (!dom.resultModal || !dom.resultMessage) return;
-  dom.resultMessage.innerHTML = `最終レベル：レベル${simulationState.level}<br>最終到達距離：${bestDistance.toFixed(1)} m`;
-  dom.resultModal.classList.remove('hidden');
-  simulationState.finalModalShown = true;
+function renderIslandSettings() {
+  if (!dom.islandSettings) return;
+  const count = config.islandCount;
+  // 比較モードでは島の設定を使わない。
+  dom.islandGroup.style.display = count > 1 && !config.comparisonMode ? 'flex' : 'none';
+  dom.islandCount.disabled = config.comparisonMode;
+  dom.islandSettings.innerHTML = '';
+  for (let index = 0; index < count; index++) {
+    const override = config.islandOverrides[index] || {};
+    const row = document.createElement('div');
+    row.className = 'island-row';
+
+    const name = document.createElement('span');
+    name.className = 'island-name';
+    const swatch = document.createElement('span');
+    swatch.className = 'island-swatch';
+    swatch.style.background = ISLAND_COLORS[index % ISLAND_COLORS.length];
+    name.append(swatch, `島${index + 1}`);
+
+    const rate = document.createElement('input');
+    rate.type = 'number';
+    rate.min = '0.001';
+    rate.max = '0.2';
+    rate.step = '0.005';
+    rate.placeholder = '変異率';
+    rate.title = '突然変異率（空欄で共通設定）';
+    rate.dataset.key = 'mutationRate';
+    rate.value = override.mutationRate != null ? override.mutationRate : '';
+
+    const selection = document.createElement('select');
+    selection.title = '選択方式';
+    selection.dataset.key = 'selectionMethod';
+    selection.add(new Option('共通の選択方式', ''));
+    Array.from(dom.selectionMethod.options).forEach(option => selection.add(new Option(option.text, option.value)));
+    selection.value = override.selectionMethod || '';
+
+    const tournament = document.createElement('input');
+    tournament.type = 'number';
+    tournament.min = '2';
+    tournament.max = '20';
+    tournament.step = '1';
+    tournament.placeholder = 'T サイズ';
+    tournament.title = 'トーナメントサイズ（空欄で共通設定）';
+    tournament.dataset.key = 'tournamentSize';
+    tournament.value = override.tournamentSize != null ? override.tournamentSize : '';
+
+    [rate, selection, tournament].forEach(input => input.addEventListener('change', updateIslandOverrides));
+    row.append(name, rate, selection, tournament);
+    dom.islandSettings.appendChild(row);
+  }
 }
 
 /**
- * モーダルを非表示にする。
+ * 島ごとの設定欄の内容を config.islandOverrides に読み込み、実行中の島へ反映する。
  */
-function hideResultModal() {
-  if (!dom.resultModal) return;
-  dom.resultModal.classList.add('hidden');
+function updateIslandOverrides() {
+  config.islandOverrides = Array.from(dom.islandSettings.querySelectorAll('.island-row')).map(row => {
+    const override = {};
+    row.querySelectorAll('[data-key]').forEach(input => {
+      if (input.value === '') return;
+      if (input.dataset.key === 'mutationRate') {
+        const value = clamp(parseFloat(input.value) || config.mutationRate, 0.001, 0.2);
+        input.value = value;
+        override.mutationRate = value;
+      } else if (input.dataset.key === 'tournamentSize') {
+        const value = clamp(parseInt(input.value, 10) || config.tournamentSize, 2, 20);
+        input.value = value;
+        override.tournamentSize = value;
+      } else {
+        override[input.dataset.key] = input.value;
+      }
+    });
+    return override;
+  });
+  if (simulation) simulation.refreshIslandSettings();
 }
 
 /**
- * 数値を範囲内に抑える便利関数。
+ * 比較モードのときだけ、設定 A・B の欄と比較表を表示する。
  */
-function clamp(value, min, max) {
-  return Math.min(Math.max(value, min), max);
+function updateComparisonVisibility() {
+  if (!dom.comparisonGroup) return;
+  dom.comparisonGroup.style.display = config.comparisonMode ? 'flex' : 'none';
+  dom.comparisonTableWrapper.hidden = !config.comparisonMode;
 }
 
 /**
- * 疑似ランダム値を生成する（手動ハードルの高さ用）。入力値に基づいて決定的にする。
+ * 設定 A・B の欄（COMPARISON_FIELDS の項目）を作り直す。空欄は共通設定を使う。
  */
-function randomInRange(min, max, seedIndex) {
-  const seed = Math.sin(seedIndex * 78.233) * 43758.5453;
-  const normalized = seed - Math.floor(seed);
-  return min + normalized * (max - min);
+function renderComparisonSettings() {
+  if (!dom.comparisonSettings) return;
+  dom.comparisonSettings.innerHTML = '';
+  HurdleSim.COMPARISON_LANES.forEach((lane, index) => {
+    const override = config.comparisonOverrides[index] || {};
+    const block = document.createElement('div');
+    block.className = 'comparison-lane';
+
+    const name = document.createElement('span');
+    name.className = 'island-name';
+    const swatch = document.createElement('span');
+    swatch.className = 'island-swatch';
+    swatch.style.background = ISLAND_COLORS[index % ISLAND_COLORS.length];
+    name.append(swatch, `設定${lane}`);
+    block.appendChild(name);
+
+    COMPARISON_FIELDS.forEach(field => {
+      const id = `comparison-${lane}-${field.key}`;
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.label;
+      let input;
+      if (field.options) {
+        input = document.createElement('select');
+        input.add(new Option('共通設定', ''));
+        Array.from(dom[field.options].options).forEach(option => input.add(new Option(option.text, option.value)));
+      } else {
+        input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(field.min);
+        input.max = String(field.max);
+        input.step = String(field.step);
+        input.placeholder = '共通設定';
+      }
+      input.id = id;
+      input.dataset.key = field.key;
+      input.value = override[field.key] != null ? override[field.key] : '';
+      input.addEventListener('change', updateComparisonOverrides);
+      block.append(label, input);
+    });
+    dom.comparisonSettings.appendChild(block);
+  });
 }
 
 /**
- * 遺伝子表現：時間軸に沿ってジャンプ命令の強さを並べた配列。
- * 個体はジャンプ命令が一定閾値を超えるとジャンプを試みる。
+ * 設定 A・B の欄の内容を config.comparisonOverrides に読み込み、実行中の個体群へ反映する。個体数は次の世代から変わる。
  */
-class Individual {
-  constructor(genome, settings) {
-    this.genome = genome.slice();
-    this.settings = settings;
-    this.radius = settings.runnerRadius;
-    this.resetState();
-    this.distance = 0;
-    this.finished = false;
-    this.crashed = false;
-    this.success = false;
-    this.currentGeneIndex = -1;
-    this.jumpCooldown = 0;
-    this.canTriggerJump = true;
-  }
-
-  /**
-   * シミュレーション開始時の位置や速度をリセットする。
-   */
-  resetState() {
-    this.x = 40;
-    const groundCenterY = height - this.settings.groundMargin - this.radius;
-    this.y = groundCenterY;
-    this.vx = this.settings.baseSpeed;
-    this.vy = 0;
-    this.elapsedFrames = 0;
-    this.finished = false;
-    this.crashed = false;
-    this.success = false;
-    this.distance = 0;
-    this.currentGeneIndex = -1;
-    this.jumpCooldown = 0;
-    this.canTriggerJump = true;
-  }
-
-  /**
-   * 遺伝子情報に基づいて 1 フレーム分の物理更新を行う。
-   */
-  update(obstacles, settings) {
-    if (this.finished) return;
-
-    this.elapsedFrames += 1;
-
-    // 遺伝子の選択：経過フレーム数を geneDuration で割ったインデックスを参照。
-    const geneIndex = Math.min(
-      Math.floor(this.elapsedFrames / settings.geneDuration),
-      this.genome.length - 1
-    );
-
-    if (geneIndex !== this.currentGeneIndex) {
-      this.currentGeneIndex = geneIndex;
-      this.canTriggerJump = true;
-    }
-
-    const geneValue = this.genome[geneIndex];
-
-    // ジャンプ判定：現在の遺伝子値が閾値を超え、かつジャンプ可能であればジャンプ。
-    const onGround = this.isOnGround();
-    if (onGround && this.jumpCooldown <= 0 && this.canTriggerJump && geneValue > settings.jumpThreshold) {
-      const power = mapValue(geneValue, settings.jumpThreshold, 1, settings.jumpVelocityMin, settings.jumpVelocityMax);
-      this.vy = -power;
-      this.canTriggerJump = false;
-      this.jumpCooldown = settings.jumpCooldownFrames;
-    } else if (geneValue < settings.jumpThreshold * 0.6) {
-      // 十分低い値に戻ったら次のジャンプを許可する。
-      this.canTriggerJump = true;
-    }
-
-    if (this.jumpCooldown > 0) {
-      this.jumpCooldown -= 1;
-    }
-
-    // 遺伝子により僅かに前進速度を変化させる（バリエーション付与）。
-    const strideBoost = (geneValue - 0.5) * 0.6;
-    const forwardVelocity = this.vx + strideBoost;
-
-    // 水平移動と重力による垂直移動。
-    this.x += forwardVelocity;
-    this.vy += settings.gravity;
-    this.y += this.vy;
-
-    // 地面との衝突判定。
-    const groundCenterY = height - settings.groundMargin - this.radius;
-    if (this.y > groundCenterY) {
-      this.y = groundCenterY;
-      this.vy = 0;
-    }
-
-    this.distance = Math.max(this.distance, this.x);
-
-    // コースを完走した場合は成功フラグを立てる。
-    if (this.x >= settings.courseLength) {
-      this.distance = settings.courseLength;
-      this.success = true;
-      this.finished = true;
-      return;
-    }
-
-    // ハードルと衝突したら失敗。
-    if (this.collidesWith(obstacles, settings)) {
-      this.crashed = true;
-      this.finished = true;
-      return;
-    }
-
-    // 遺伝子長に応じて最大シミュレーション時間を超えたら終了。
-    const maxFrames = settings.genomeLength * settings.geneDuration;
-    if (this.elapsedFrames >= maxFrames) {
-      this.finished = true;
-    }
-  }
-
-  /**
-   * 地面に接地しているかを判定。
-   */
-  isOnGround() {
-    const groundCenterY = height - this.settings.groundMargin - this.radius;
-    return Math.abs(this.y - groundCenterY) < 0.01;
-  }
-
-  /**
-   * 円と矩形の距離チェックによる衝突判定。
-   */
-  collidesWith(obstacles, settings) {
-    for (const obstacle of obstacles) {
-      const rectLeft = obstacle.x;
-      const rectRight = obstacle.x + obstacle.width;
-      const rectTop = height - settings.groundMargin - obstacle.height;
-      const rectBottom = height - settings.groundMargin;
-
-      // 浮動小数を扱うため矩形と円の最短距離で判定する。
-      const closestX = clamp(this.x, rectLeft, rectRight);
-      const closestY = clamp(this.y, rectTop, rectBottom);
-      const dx = this.x - closestX;
-      const dy = this.y - closestY;
-      const distanceSq = dx * dx + dy * dy;
-      if (distanceSq <= this.radius * this.radius) {
-        obstacle.hit = true;
-        return true;
+function updateComparisonOverrides() {
+  config.comparisonOverrides = Array.from(dom.comparisonSettings.querySelectorAll('.comparison-lane')).map(block => {
+    const override = {};
+    block.querySelectorAll('[data-key]').forEach(input => {
+      if (input.value === '') return;
+      const field = COMPARISON_FIELDS.find(item => item.key === input.dataset.key);
+      if (field.options) {
+        override[field.key] = input.value;
+        return;
       }
-    }
-    return false;
-  }
-
-  /**
-   * p5.js を用いて個体を描画する。
-   */
-  render(offset) {
-    const screenX = this.x - offset;
-    if (screenX < -40 || screenX > width + 40) return;
-
-    push();
-    noStroke();
-    if (this.crashed) {
-      fill(config.runnerCrashColor);
-    } else {
-      fill(config.runnerColor);
-    }
-    circle(screenX, this.y, this.radius * 2);
-    pop();
-  }
-
-  /**
-   * 子個体を生成する際に利用するコピー関数。
-   */
-  clone() {
-    return new Individual(this.genome, this.settings);
+      const parsed = field.integer ? parseInt(input.value, 10) : parseFloat(input.value);
+      const value = clamp(Number.isFinite(parsed) ? parsed : config[field.key], field.min, field.max);
+      input.value = value;
+      override[field.key] = value;
+    });
+    return override;
+  });
+  if (simulation) {
+    simulation.refreshIslandSettings();
+    updateComparisonTable(simulation.history[simulation.history.length - 1]);
   }
 }
 
 /**
- * 個体群を管理し、評価→選択→交叉→突然変異の流れを担う。
+ * 設定 index で共通設定から変えた項目の説明。
  */
-class Population {
-  constructor(settings) {
-    this.settings = settings;
-    this.individuals = [];
-    this.generation = 1;
-    this.stats = {
-      averageDistance: 0,
-      bestDistance: 0,
-      dropouts: 0
-    };
-    this.bestIndividual = null;
-    this._breeding = false;
-    this.overallBest = {
-      distance: 0,
-      generation: 1
-    };
-    this.createInitialPopulation();
-  }
-
-  createInitialPopulation() {
-    this.individuals = [];
-    for (let i = 0; i < this.settings.populationSize; i++) {
-      this.individuals.push(new Individual(this.randomGenome(), this.settings));
-    }
-    this.generation = 1;
-    this.bestIndividual = null;
-    this.stats = { averageDistance: 0, bestDistance: 0, dropouts: 0 };
-    this.overallBest = { distance: 0, generation: 1 };
-  }
-
-  /**
-   * 初期遺伝子は 0〜1 の一様乱数で生成する。
-   */
-  randomGenome() {
-    const genome = [];
-    for (let i = 0; i < this.settings.genomeLength; i++) {
-      genome.push(Math.random());
-    }
-    return genome;
-  }
-
-  /**
-   * 各フレームで全個体の状態を更新し、世代終了を検知したら次世代を生成する。
-   */
-  update(obstacles) {
-    if (this._breeding) return;
-    let activeCount = 0;
-    for (const individual of this.individuals) {
-      if (!individual.finished) {
-        individual.update(obstacles, this.settings);
-      }
-      if (!individual.finished) {
-        activeCount += 1;
-      }
+function describeComparisonOverride(index) {
+  const override = config.comparisonOverrides[index] || {};
+  const parts = COMPARISON_FIELDS.filter(field => override[field.key] != null && override[field.key] !== '').map(field => {
+    const value = override[field.key];
+    if (field.options) {
+      const option = Array.from(dom[field.options].options).find(item => item.value === value);
+      return `${field.label} ${option ? option.text : value}`;
     }
-    this.updateStats();
-
-    if (activeCount === 0) {
-      this._breeding = true;
-      this.evaluateAndBreed();
-      this._breeding = false;
+    if (field.key === 'mutationRate' || field.key === 'crossoverRate') {
+      return `${field.label} ${+(value * 100).toFixed(1)}%`;
     }
-  }
+    return `${field.label} ${value}`;
+  });
+  return parts.length ? parts.join('・') : '共通設定のまま';
+}
 
-  /**
-   * 世代ごとの統計値を算出する。
-   */
-  updateStats() {
-    let sum = 0;
-    let best = 0;
-    let bestIndividual = null;
-    let dropouts = 0;
-    let completed = 0;
-    for (const individual of this.individuals) {
-      sum += individual.distance;
-      if (individual.distance > best) {
-        best = individual.distance;
-        bestIndividual = individual;
-      }
-      if (individual.crashed) {
-        dropouts += 1;
-      }
-      if (individual.success) {
-        completed += 1;
+/**
+ * 比較モードの比較表を更新する。直前の世代の設定 A・B の結果と、これまでの最高記録・初めて完走した世代を並べ、
+ * 優れている方のセルを強調する。
+ */
+function updateComparisonTable(record) {
+  if (!dom.comparisonTable) return;
+  const body = dom.comparisonTable.tBodies[0];
+  body.innerHTML = '';
+  if (!config.comparisonMode) return;
+  const lanes = HurdleSim.COMPARISON_LANES.map((lane, index) => {
+    let best = null;
+    islandLog.forEach(entry => {
+      const island = entry.islands[index];
+      if (island && (!best || island.bestDistance > best.distance)) {
+        best = { distance: island.bestDistance, generation: entry.generation };
       }
+    });
+    const firstFinish = islandLog.find(entry => entry.islands[index] && entry.islands[index].completedCount > 0);
+    return {
+      current: record && record.islands ? record.islands[index] : null,
+      best,
+      firstFinish: firstFinish ? firstFinish.generation : null
+    };
+  });
+  const rows = [
+    { label: '上書きした設定', cells: lanes.map((lane, index) => ({ text: describeComparisonOverride(index) })) },
+    {
+      label: '最長到達距離',
+      higher: true,
+      cells: lanes.map(lane => (lane.current ? { text: lane.current.bestDistance.toFixed(1), value: lane.current.bestDistance } : null))
+    },
+    {
+      label: '平均到達距離',
+      higher: true,
+      cells: lanes.map(lane => (lane.current ? { text: lane.current.averageDistance.toFixed(1), value: lane.current.averageDistance } : null))
+    },
+    {
+      label: '完走数 / 個体数',
+      higher: true,
+      cells: lanes.map(lane => {
+        if (!lane.current || !lane.current.populationSize) return null;
+        const completed = lane.current.completedCount || 0;
+        return { text: `${completed} / ${lane.current.populationSize}`, value: completed / lane.current.populationSize };
+      })
+    },
+    {
+      label: '突然変異率',
+      cells: lanes.map(lane => (lane.current ? { text: `${(lane.current.mutationRate * 100).toFixed(1)}%` } : null))
+    },
+    {
+      label: '最高記録',
+      higher: true,
+      cells: lanes.map(lane => (lane.best ? { text: `${lane.best.distance.toFixed(1)}（第${lane.best.generation}世代）`, value: lane.best.distance } : null))
+    },
+    {
+      label: '初めて完走した世代',
+      higher: false,
+      cells: lanes.map(lane => (lane.firstFinish != null ? { text: `第${lane.firstFinish}世代`, value: lane.firstFinish } : { text: 'まだなし' }))
     }
-    this.stats.averageDistance = this.individuals.length ? sum / this.individuals.length : 0;
-    this.stats.bestDistance = best;
-    this.stats.dropouts = dropouts;
-    this.stats.completedCount = completed;
-    this.bestIndividual = bestIndividual;
-    simulationState.levelBestDistance = Math.max(
-      simulationState.levelBestDistance || 0,
-      best
-    );
-
-    if (bestIndividual && bestIndividual.distance > (this.overallBest?.distance || 0)) {
-      this.overallBest = {
-        distance: bestIndividual.distance,
-        generation: this.generation
-      };
-    }
-  }
-
-  /**
-   * 世代評価後に選択・交叉・突然変異を実行して次世代を生み出す。
-   */
-  evaluateAndBreed() {
-    this.updateStats();
-    const completedThisGeneration = this.stats.completedCount || 0;
-    if (completedThisGeneration > 0) {
-      increaseLevel();
-    }
-    if (this.bestIndividual) {
-      appendChartData(this.generation, this.stats.averageDistance, this.stats.bestDistance);
+  ];
+  rows.forEach(item => {
+    const row = body.insertRow();
+    row.insertCell().textContent = item.label;
+    const values = item.cells.map(cell => (cell && cell.value != null ? cell.value : null));
+    const known = values.filter(value => value != null);
+    // 両方の値がそろって差があるときだけ強調する。初めて完走した世代は、片方だけ完走していればその方を強調する。
+    let leading = null;
+    if (item.higher != null && known.length > 0 && new Set(values).size > 1 && (known.length === values.length || !item.higher)) {
+      leading = item.higher ? Math.max(...known) : Math.min(...known);
     }
-
-    if (this.generation >= this.settings.maxGenerations) {
-      simulationState.running = false;
-      simulationState.halted = true;
-      updateButtonStates();
-      if (!simulationState.finalModalShown) {
-        const bestDistance = Math.max(
-          simulationState.levelBestDistance || 0,
-          this.stats.bestDistance || 0
-        );
-        showResultModal(bestDistance);
+    item.cells.forEach(cell => {
+      const td = row.insertCell();
+      td.textContent = cell ? cell.text : '-';
+      if (leading != null && cell && cell.value === leading) {
+        td.className = 'leading';
       }
-      return;
-    }
-
-    const matingPool = [...this.individuals].sort((a, b) => b.distance - a.distance);
-    const eliteCount = Math.max(2, Math.round(this.settings.populationSize * 0.1));
-    const elites = matingPool.slice(0, eliteCount).map(ind => ind.clone());
-    const nextGeneration = [];
-
-    // エリート保存戦略：優秀な個体をそのまま次世代へ送る。
-    elites.forEach(elite => {
-      elite.resetState();
-      nextGeneration.push(elite);
     });
+  });
+}
 
-    while (nextGeneration.length < this.settings.populationSize) {
-      const parentA = this.weightedSelection(matingPool);
-      const parentB = this.weightedSelection(matingPool);
-      const childGenome = this.crossover(parentA.genome, parentB.genome);
-      this.mutate(childGenome);
-      const child = new Individual(childGenome, this.settings);
-      nextGeneration.push(child);
-    }
+/**
+ * 選択方式とニッチ保護は、単目的モードの世代交代でだけ使うので、そのときだけ表示する。
+ * トーナメントサイズはトーナメント選択のときだけ表示する。
+ */
+function updateSelectionControlsVisibility() {
+  if (!dom.tournamentSizeGroup) return;
+  // NSGA-II は混雑度比較による二者トーナメントで、クラウディングは無作為な組で親を選ぶ。
+  const usesSelection = config.evolutionMode !== 'nsga2' && config.replacementMode !== 'crowding';
+  dom.selectionMethodGroup.style.display = usesSelection ? 'flex' : 'none';
+  dom.nicheModeGroup.style.display = usesSelection ? 'flex' : 'none';
+  dom.tournamentSizeGroup.style.display = usesSelection && config.selectionMethod === 'tournament' ? 'flex' : 'none';
+}
 
-    this.individuals = nextGeneration;
-    this.generation += 1;
-    clearObstacleHits();
-  }
-
-  /**
-   * ルーレット（重み付き）選択。距離が長いほど選ばれやすくなる。
-   */
-  weightedSelection(pool) {
-    const total = pool.reduce((acc, ind) => acc + ind.distance + 1, 0);
-    let threshold = Math.random() * total;
-    for (const individual of pool) {
-      threshold -= individual.distance + 1;
-      if (threshold <= 0) {
-        return individual;
-      }
-    }
-    return pool[0];
-  }
-
-  /**
-   * 単一点交叉：ある時点で親を切り替える。
-   */
-  crossover(genomeA, genomeB) {
-    const cutPoint = Math.floor(Math.random() * genomeA.length);
-    const child = [];
-    for (let i = 0; i < genomeA.length; i++) {
-      const gene = i < cutPoint ? genomeA[i] : genomeB[i];
-      child.push(gene);
-    }
-    return child;
+/**
+ * 再生・停止ボタンの表示や有効状態を更新する。
+ */
+function updateButtonStates() {
+  if (!dom.togglePlay) return;
+  const turbo = simulationState.turbo;
+  const replay = simulationState.replay;
+  const editor = simulationState.editor;
+  dom.togglePlay.textContent = simulationState.running && !simulationState.halted ? '一時停止' : '再生';
+  dom.togglePlay.disabled = Boolean(turbo || replay || editor);
+  if (dom.nextGeneration) {
+    // 終了条件を満たして止まった進化は、条件を緩めるまで次の世代へ進めない。
+    const finished = simulationState.halted && simulation && simulation.completed && !simulation.canResume();
+    dom.nextGeneration.disabled = Boolean(turbo || replay || editor || finished);
   }
-
-  /**
-   * 突然変異：確率的に遺伝子値へノイズを加える。
-   */
-  mutate(genome) {
-    for (let i = 0; i < genome.length; i++) {
-      if (Math.random() < this.settings.mutationRate) {
-        const delta = (Math.random() - 0.5) * 0.6;
-        genome[i] = clamp(genome[i] + delta, 0, 1);
-      }
-    }
+  if (dom.stopSimulation) {
+    dom.stopSimulation.disabled = simulationState.halted || Boolean(turbo);
   }
-
-  /**
-   * 個体群を描画する。
-   */
-  render(offset) {
-    this.individuals.forEach(individual => individual.render(offset));
+  if (dom.toggleTurbo) {
+    dom.toggleTurbo.textContent = turbo ? '高速進化を中止' : '高速進化を開始';
+    dom.toggleTurbo.disabled = Boolean((turbo && turbo.stopRequested) || editor);
   }
-
-  /**
-   * 表示用に先頭の個体を取得。
-   */
-  getLeader() {
-    let leader = null;
-    let best = -Infinity;
-    for (const individual of this.individuals) {
-      if (individual.x > best) {
-        best = individual.x;
-        leader = individual;
-      }
-    }
-    return leader;
+  if (dom.toggleReplay) {
+    dom.toggleReplay.textContent = replay ? 'リプレイを閉じる' : 'リプレイを開く';
+    dom.toggleReplay.disabled = Boolean(turbo || editor);
+    dom.replayControls.style.display = replay ? 'flex' : 'none';
   }
-
-  /**
-   * ボタン操作で強制的に次世代へ移行する。
-   */
-  forceAdvance() {
-    this.individuals.forEach(ind => {
-      ind.finished = true;
-    });
-    this.evaluateAndBreed();
+  if (dom.toggleEditor) {
+    dom.toggleEditor.textContent = editor ? '編集を終えて適用' : 'コースを編集';
+    dom.toggleEditor.disabled = Boolean(turbo || replay);
+    dom.editorControls.style.display = editor ? 'flex' : 'none';
+  }
+  if (dom.toggleExperiment) {
+    const experiment = simulationState.experiment;
+    const hasResults = Boolean(experimentResults && experimentResults.results.some(Boolean));
+    dom.toggleExperiment.textContent = experiment ? '実験を中止' : '実験を開始';
+    dom.toggleExperiment.disabled = Boolean(experiment && experiment.stopRequested);
+    dom.exportExperimentSummary.disabled = !hasResults;
+    dom.exportExperimentRuns.disabled = !hasResults;
   }
 }
 
 /**
- * 値を別の範囲に写像するユーティリティ。
+ * レベル表示を更新する。高速進化中は Worker から届いたレベルを直接指定する。
+ */
+function updateLevelDisplay(level) {
+  if (!dom.currentLevel) return;
+  const displayLevel = level || (simulation ? simulation.level : 1);
+  dom.currentLevel.textContent = displayLevel.toString();
+}
+
+/**
+ * 最終結果モーダルを表示する。
+ */
+function showResultModal(result) {
+  if (!dom.resultModal || !dom.resultMessage) return;
+  dom.resultMessage.innerHTML = [
+    `終了理由：${describeStopReason(result.reason)}`,
+    `最終レベル：レベル${result.level}`,
+    `最終到達距離：${result.bestDistance.toFixed(1)} m`,
+    `第${result.generation}世代 ・ ${result.frameCount} フレーム ・ 実行時間 ${(result.activeMs / 1000).toFixed(1)} 秒`
+  ].join('<br>');
+  dom.resultModal.classList.remove('hidden');
+  simulationState.resultShownGeneration = result.generation;
+}
+
+/**
+ * 終了理由の表示名に、その条件の設定値を添える。
  */
-function mapValue(value, inMin, inMax, outMin, outMax) {
-  const clamped = clamp((value - inMin) / (inMax - inMin), 0, 1);
-  return outMin + clamped * (outMax - outMin);
+function describeStopReason(reason) {
+  const label = HurdleSim.STOP_REASONS[reason] || HurdleSim.STOP_REASONS.maxGenerations;
+  const details = {
+    maxGenerations: `${config.maxGenerations} 世代`,
+    stagnation: `${config.stagnationGenerations} 世代続けて伸びず`,
+    targetLevel: `レベル ${config.targetLevel}`,
+    completionRate: `${Math.round(config.targetCompletionRate * 100)}% 以上が完走`,
+    timeBudget: `${config.timeBudgetSeconds} 秒`,
+    frameBudget: `${config.frameBudget} フレーム`
+  };
+  return `${label}（${details[reason] || details.maxGenerations}）`;
+}
+
+/**
+ * モーダルを非表示にする。
+ */
+function hideResultModal() {
+  if (!dom.resultModal) return;
+  dom.resultModal.classList.add('hidden');
 }
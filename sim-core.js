@@ -0,0 +1,2903 @@
+/**
+ * 障害物レース進化シミュレーションのコア部分。
+ * 物理更新・コース生成・遺伝的アルゴリズムだけを扱い、p5.js や DOM には一切依存しない。
+ * ブラウザでは window.HurdleSim として、Node.js では require('./sim-core.js') で利用できる。
+ *
+ * 座標はワールド座標系で表す。x はスタート地点からの距離、y は地面からの高さ（上向きが正）。
+ * 画面上の座標への変換は描画側（script.js）の責務とする。
+ */
+(function (root, factory) {
+  const core = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = core;
+  } else {
+    root.HurdleSim = core;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // シミュレーションの既定設定。UI からも Node.js からも、この値を上書きして使う。
+  const DEFAULT_SETTINGS = {
+    populationSize: 50,
+    genomeType: 'timeline', // 'timeline'（時刻ごとのジャンプ命令） | 'neural'（センサー入力で判断するニューラルネット）
+    genomeLength: 80, // 1個体あたりの遺伝子数（時間的な意思決定の数）。neural でも走行時間の上限に使う
+    geneDuration: 10, // 1遺伝子が保持されるフレーム数
+    neuralHiddenUnits: 6,
+    neuralWeightScale: 4, // 遺伝子値 0〜1 を -scale〜+scale の重みへ写像する
+    sensorRange: 300, // 次の障害物までの距離センサーが届く範囲
+    mutationRate: 0.05,
+    mutationType: 'uniform', // 'uniform'（±0.3 の一様ノイズ） | 'gaussian'（標準偏差 mutationSigma の正規ノイズ）
+    mutationSigma: 0.1,
+    mutationSchedule: 'fixed', // 'fixed' | 'adaptive'（停滞で率を上げる） | 'self-adaptive'（個体ごとの変異強度）
+    adaptiveMutationMin: 0.005,
+    adaptiveMutationMax: 0.3,
+    adaptiveMutationUp: 1.25, // 最長距離が伸びなかった世代に掛ける倍率
+    adaptiveMutationDown: 0.8, // 最長距離が伸びた世代に掛ける倍率
+    evolutionMode: 'single', // 'single'（重み付き適応度）| 'nsga2'（多目的：非優越ソート＋混雑距離）
+    selectionMethod: 'roulette', // 'roulette' | 'tournament' | 'rank' | 'sus'
+    tournamentSize: 3,
+    crossoverMethod: 'single', // 'single' | 'two-point' | 'uniform' | 'blend'
+    crossoverRate: 1, // 交叉を行う確率。残りは片親のコピーに突然変異だけを加える
+    blendAlpha: 0.5, // ブレンド交叉（BLX-α）で親の区間を外側へ広げる割合
+    nicheMode: 'none', // 'none' | 'sharing'（適応度共有） | 'speciation'（種分化）
+    nicheRadius: 0.1, // 同じニッチ・種とみなす遺伝子距離（genomeDistance）の上限
+    islandCount: 1, // 島（部分個体群）の数。2 以上で島モデル。総個体数 populationSize を島で分ける
+    islandOverrides: [], // 島ごとに上書きする設定（mutationRate / selectionMethod / tournamentSize）の配列
+    migrationInterval: 10, // 何世代ごとに移住させるか
+    migrationCount: 2, // 1 回の移住で各島から送り出す上位個体の数
+    migrationTopology: 'ring', // 'ring'（隣の島へ） | 'full'（ほかのすべての島へ）
+    comparisonMode: false, // 比較モード。設定 A・B の 2 つの個体群を同じコースで競わせる（移住なし・個体数は分けない）
+    comparisonOverrides: [{ mutationRate: 0.01 }, { mutationRate: 0.1 }], // 比較モードで設定 A・B に上書きする設定（COMPARISON_OVERRIDE_KEYS）
+    replacementMode: 'generational', // 'generational'（世代交代） | 'crowding'（決定的クラウディング。重み付き適応度で比べる）
+    maxGenerations: 200,
+    promotionRate: 0, // 昇格に必要な完走率（0〜1）。0 なら 1 体でも完走すれば条件を満たす
+    promotionStreak: 1, // 昇格の条件を何世代続けて満たしたら次のレベルへ進むか
+    demotionGenerations: 0, // 完走者のいない世代がこれだけ続いたら 1 つ前のレベルへ戻す。0 なら降格しない
+    levelScheduleText: '', // レベルごとに難易度パラメータを上書きする予定表（parseLevelSchedule() の書式）
+    // 終了条件。maxGenerations のほかに、0 以外の値を入れた条件のどれかを満たした世代で進化を終える。
+    stagnationGenerations: 0, // 同じレベルで最長到達距離がこの世代数続けて伸びなければ終える
+    targetLevel: 0, // このレベルに上がったら終える
+    targetCompletionRate: 0, // 完走率（0〜1）がこの値以上になったら終える
+    timeBudgetSeconds: 0, // 実行時間（秒）の上限。一時停止していた時間は数えない
+    frameBudget: 0, // シミュレーションを進めたフレーム数の合計の上限
+    trainingCourses: 1, // 1 世代で各個体を評価するコース数 K。2 以上で複数コース訓練モード
+    fitnessAggregate: 'mean', // K コースの適応度の集計方法：'mean' | 'min' | 'median'
+    // 適応度 = 距離 × 重み + 完走時の残りフレーム数 × 重み − ジャンプ回数 × 重み − ジャンプ力の合計 × 重み − 衝突時の減点
+    fitnessWeightDistance: 1,
+    fitnessWeightFinishTime: 0,
+    fitnessWeightJumps: 0,
+    fitnessWeightJumpPower: 0,
+    fitnessWeightCrash: 0,
+    courseLength: 1000,
+    baseSpeed: 4.2,
+    gravity: 0.6,
+    jumpVelocityMin: 6.4,
+    jumpVelocityMax: 12.5,
+    jumpThreshold: 0.52,
+    jumpCooldownFrames: 18,
+    runnerRadius: 8,
+    recordTrails: false, // 各個体のフレームごとの位置と着地点を記録するか（軌跡の描画用）
+    groundMargin: 36,
+    hurdleMode: 'random',
+    specialObstacles: false, // ランダム配置で穴・頭上のバー・上下に動くハードルも置くか（出現率はレベルで上がる）
+    manualHurdlesText: '150:1.2, 320:1.8, 520:1.5, 740:2.0',
+    hurdleMinGapFactor: 1.6,
+    hurdleMinGapFactorBase: 1.6,
+    maxHurdleHeightMultiplier: 5,
+    seedText: '' // 空欄のときはリセットごとに新しいシードを選ぶ
+  };
+
+  // 進化を終えた理由。'complete' イベントの reason に入るキーと表示名。
+  const STOP_REASONS = {
+    maxGenerations: '最大世代数に到達',
+    stagnation: '最長到達距離が伸びなくなった',
+    targetLevel: '目標レベルに到達',
+    completionRate: '完走率が目標に到達',
+    timeBudget: '実行時間の上限に到達',
+    frameBudget: 'フレーム数の上限に到達'
+  };
+
+  // 実行時間に数えるステップ間隔の上限（ミリ秒）。これより長い間隔は一時停止していたものとみなす。
+  const MAX_ACTIVE_STEP_GAP_MS = 1000;
+
+  const BASE_RANDOM_HURDLE_DIVISOR = 160;
+  const BASE_MANUAL_MIN_MULTIPLIER = 1;
+  const MANUAL_HURDLE_WIDTH = 14; // 手動配置で幅を省略したときの幅
+  const MANUAL_HURDLE_WIDTH_MIN = 6;
+  const MANUAL_HURDLE_WIDTH_MAX = 60;
+
+  /**
+   * 既定設定に上書き値を重ねた設定オブジェクトを作る。
+   */
+  function createSettings(overrides) {
+    return Object.assign({}, DEFAULT_SETTINGS, overrides);
+  }
+
+  /**
+   * 数値を範囲内に抑える便利関数。
+   */
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  /**
+   * 値を別の範囲に写像するユーティリティ。
+   */
+  function mapValue(value, inMin, inMax, outMin, outMax) {
+    const clamped = clamp((value - inMin) / (inMax - inMin), 0, 1);
+    return outMin + clamped * (outMax - outMin);
+  }
+
+  /**
+   * シード入力を 32bit 符号なし整数へ変換する。数値ならそのまま、文字列はハッシュ化する。
+   */
+  function normalizeSeed(text) {
+    const value = String(text).trim();
+    if (/^\d+$/.test(value)) {
+      return Number(value) % 4294967296;
+    }
+    // FNV-1a ハッシュで任意の文字列を整数シードにする。
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * シード付き擬似乱数生成器（mulberry32）。
+   * 同じシードからは常に同じ乱数列が得られるため、実行結果を再現できる。
+   */
+  class RandomGenerator {
+    constructor(seed) {
+      this.state = seed >>> 0;
+    }
+
+    /**
+     * 0 以上 1 未満の乱数を返す。Math.random() の代わりに使う。
+     */
+    next() {
+      this.state = (this.state + 0x6d2b79f5) >>> 0;
+      let t = this.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * min 以上 max 未満の乱数を返す。
+     */
+    range(min, max) {
+      return min + this.next() * (max - min);
+    }
+
+    /**
+     * 標準正規分布に従う乱数を返す（Box–Muller 法）。
+     */
+    gaussian() {
+      const u = 1 - this.next(); // log(0) を避けるため (0, 1] にする
+      const v = this.next();
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+  }
+
+  /**
+   * 現在のレベルに応じたパラメータを算出する。
+   */
+  function getLevelDifficulty(level, settings) {
+    const effectiveLevel = Math.max(1, level || 1);
+    const growth = 1 + (effectiveLevel - 1) * 0.2;
+    const gapFactor = Math.max(0.85, settings.hurdleMinGapFactorBase / growth);
+    const countBoost = 1 + (effectiveLevel - 1) * 0.25;
+    const maxMultiplierLimit = settings.maxHurdleHeightMultiplier || 5;
+    const minMultiplier = Math.min(maxMultiplierLimit, 1.6 + (effectiveLevel - 1) * 0.2);
+    const maxMultiplier = Math.min(maxMultiplierLimit, 2.5 + (effectiveLevel - 1) * 0.35);
+    const widthMin = Math.max(8, 12 - (effectiveLevel - 1) * 0.7);
+    const widthMax = Math.max(widthMin + 2, 18 - (effectiveLevel - 1) * 0.4);
+    // 特殊な障害物の出現率と大きさ。バーの高さは下端までの高さ（走者の直径に対する倍率）で、低いほど低いジャンプしか通さない。
+    const special = settings.specialObstacles ? 1 : 0;
+    const pitChance = special * Math.min(0.25, 0.1 + (effectiveLevel - 1) * 0.03);
+    const barChance = special * Math.min(0.2, 0.08 + (effectiveLevel - 1) * 0.03);
+    const movingChance = special * Math.min(0.25, 0.1 + (effectiveLevel - 1) * 0.03);
+    const pitWidthMin = 22 + (effectiveLevel - 1) * 2;
+    const pitWidthMax = pitWidthMin + 14;
+    const barClearanceMin = Math.max(2.2, 3.2 - (effectiveLevel - 1) * 0.15);
+    const barClearanceMax = barClearanceMin + 1.2;
+    const movingAmplitude = Math.min(0.7, 0.4 + (effectiveLevel - 1) * 0.05);
+    const movingPeriodMin = Math.max(40, 90 - (effectiveLevel - 1) * 8);
+    const movingPeriodMax = movingPeriodMin + 40;
+    const difficulty = {
+      gapFactor,
+      countBoost,
+      minMultiplier,
+      maxMultiplier,
+      widthMin,
+      widthMax,
+      pitChance,
+      barChance,
+      movingChance,
+      pitWidthMin,
+      pitWidthMax,
+      barClearanceMin,
+      barClearanceMax,
+      movingAmplitude,
+      movingPeriodMin,
+      movingPeriodMax
+    };
+    if (settings.levelScheduleText) {
+      getLevelSchedule(settings.levelScheduleText).forEach(rule => {
+        if (effectiveLevel >= rule.from && effectiveLevel <= rule.to) {
+          Object.assign(difficulty, rule.values);
+        }
+      });
+      // 片方だけを上書きして下限と上限が入れ替わったときは、小さい方を下限にする。
+      LEVEL_DIFFICULTY_RANGE_PAIRS.forEach(([minKey, maxKey]) => {
+        if (difficulty[minKey] > difficulty[maxKey]) {
+          [difficulty[minKey], difficulty[maxKey]] = [difficulty[maxKey], difficulty[minKey]];
+        }
+      });
+    }
+    return difficulty;
+  }
+
+  // レベル予定表で上書きできる難易度パラメータ（getLevelDifficulty() の戻り値のキー）と表示名。
+  const LEVEL_DIFFICULTY_KEYS = {
+    gapFactor: '障害物どうしの最小間隔（幅に対する倍率）',
+    countBoost: '障害物の数の倍率',
+    minMultiplier: 'ハードルの高さ倍率の下限',
+    maxMultiplier: 'ハードルの高さ倍率の上限',
+    widthMin: 'ハードルの幅の下限',
+    widthMax: 'ハードルの幅の上限',
+    pitChance: '穴の出現率',
+    barChance: '頭上のバーの出現率',
+    movingChance: '動くハードルの出現率',
+    pitWidthMin: '穴の幅の下限',
+    pitWidthMax: '穴の幅の上限',
+    barClearanceMin: 'バーの下端の高さ倍率の下限',
+    barClearanceMax: 'バーの下端の高さ倍率の上限',
+    movingAmplitude: '動くハードルが低くなる割合',
+    movingPeriodMin: '動くハードルの周期（フレーム）の下限',
+    movingPeriodMax: '動くハードルの周期（フレーム）の上限'
+  };
+
+  /**
+   * レベル予定表で 0〜1 の割合として書く項目。ほかの項目は 0 より大きい値でなければならない（周期 0 などは計算が壊れる）。
+   */
+  const LEVEL_DIFFICULTY_RATE_KEYS = ['pitChance', 'barChance', 'movingChance', 'movingAmplitude'];
+
+  /**
+   * レベル予定表で下限・上限の組になっている項目。
+   */
+  const LEVEL_DIFFICULTY_RANGE_PAIRS = [
+    ['minMultiplier', 'maxMultiplier'],
+    ['widthMin', 'widthMax'],
+    ['pitWidthMin', 'pitWidthMax'],
+    ['barClearanceMin', 'barClearanceMax'],
+    ['movingPeriodMin', 'movingPeriodMax']
+  ];
+
+  /**
+   * レベル予定表のテキストを解析する。1 行に「レベル: キー=値, キー=値」を書き、レベルは 3・2-4・5+ の形で指定する。
+   * # から行末まではコメント。同じレベルに当てはまる行が複数あれば、後の行の値が優先される。
+   * 戻り値は { rules: [{ from, to, values, line }], issues }（issues の形は parseManualCourse() と同じ）。
+   */
+  function parseLevelSchedule(text) {
+    const rules = [];
+    const issues = [];
+    (text || '').split('\n').forEach((rawLine, lineIndex) => {
+      const line = lineIndex + 1;
+      const content = rawLine.replace(/#.*$/, '').trim();
+      if (!content) return;
+      const report = (severity, entry, message) => issues.push({ severity, line, entry, message });
+      const match = content.match(/^(?:レベル|level)?\s*(\d+)\s*(?:[-〜~]\s*(\d+)|(\+))?\s*[:：]\s*(.*)$/i);
+      if (!match) {
+        report('error', content, '「レベル: キー=値, ...」の形で書いてください（レベルは 3・2-4・5+ の形）');
+        return;
+      }
+      const from = Math.max(1, parseInt(match[1], 10));
+      const to = match[3] ? Infinity : match[2] ? parseInt(match[2], 10) : from;
+      if (to < from) {
+        report('error', content, `レベルの範囲「${match[1]}-${match[2]}」は小さい方から書いてください`);
+        return;
+      }
+      const values = {};
+      match[4].split(/[,、]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [key, valueText = ''] = part.split('=').map(item => item.trim());
+        if (!Object.prototype.hasOwnProperty.call(LEVEL_DIFFICULTY_KEYS, key)) {
+          report('error', part, `「${key}」は上書きできません。使えるキー: ${Object.keys(LEVEL_DIFFICULTY_KEYS).join('・')}`);
+          return;
+        }
+        const value = Number(valueText);
+        const rate = LEVEL_DIFFICULTY_RATE_KEYS.includes(key);
+        if (valueText === '' || Number.isNaN(value) || (rate ? value < 0 || value > 1 : value <= 0)) {
+          report('error', part, `${LEVEL_DIFFICULTY_KEYS[key]}（${key}）には ${rate ? '0〜1 の' : '0 より大きい'}数値を書いてください`);
+          return;
+        }
+        values[key] = value;
+      });
+      LEVEL_DIFFICULTY_RANGE_PAIRS.forEach(([minKey, maxKey]) => {
+        if (values[minKey] != null && values[maxKey] != null && values[minKey] > values[maxKey]) {
+          report('error', `${minKey}=${values[minKey]}, ${maxKey}=${values[maxKey]}`, `${minKey} が ${maxKey} より大きいため、この 2 つは使いません`);
+          delete values[minKey];
+          delete values[maxKey];
+        }
+      });
+      if (Object.keys(values).length > 0) {
+        rules.push({ from, to, values, line });
+      }
+    });
+    return { rules, issues };
+  }
+
+  // 直前に解析したレベル予定表。getLevelDifficulty() は何度も呼ばれるので、テキストが変わったときだけ解析し直す。
+  let levelScheduleCache = { text: '', rules: [] };
+
+  /**
+   * レベル予定表の規則（解析できた行だけ）を返す。
+   */
+  function getLevelSchedule(text) {
+    if (text !== levelScheduleCache.text) {
+      levelScheduleCache = { text, rules: parseLevelSchedule(text).rules };
+    }
+    return levelScheduleCache.rules;
+  }
+
+  /**
+   * 障害物の時刻 frame での高さ。上下に動くハードルは height を最大として、amplitude の割合だけ周期的に低くなる。
+   */
+  function getObstacleHeight(obstacle, frame) {
+    if (obstacle.type !== 'moving') return obstacle.height;
+    const wave = 0.5 + 0.5 * Math.sin((2 * Math.PI * frame) / obstacle.period + obstacle.phase);
+    return obstacle.height * (1 - obstacle.amplitude * wave);
+  }
+
+  /**
+   * ランダム配置のハードルを、難易度の出現率に応じて特殊な障害物に置き換える。穴は幅を広げて高さを 0 に、
+   * 頭上のバーは height を下端までの高さに、動くハードルは振れ幅・周期・位相を持たせる。
+   */
+  function applySpecialObstacle(obstacle, difficulty, runnerDiameter, random) {
+    const roll = random.next();
+    if (roll < difficulty.pitChance) {
+      obstacle.type = 'pit';
+      obstacle.width = random.range(difficulty.pitWidthMin, difficulty.pitWidthMax);
+      obstacle.height = 0;
+    } else if (roll < difficulty.pitChance + difficulty.barChance) {
+      obstacle.type = 'bar';
+      obstacle.height = runnerDiameter * random.range(difficulty.barClearanceMin, difficulty.barClearanceMax);
+    } else if (roll < difficulty.pitChance + difficulty.barChance + difficulty.movingChance) {
+      obstacle.type = 'moving';
+      obstacle.amplitude = difficulty.movingAmplitude;
+      obstacle.period = random.range(difficulty.movingPeriodMin, difficulty.movingPeriodMax);
+      obstacle.phase = random.range(0, Math.PI * 2);
+    }
+  }
+
+  // 障害物の種類。手動配置では項目の 4 番目の欄に名前（キーか表示名）で書く。
+  // sides は衝突を数える面（front: 側面 / top: 上面 / bottom: 下面 / fall: 落下）、sensor はニューラルネットへの入力値。
+  const OBSTACLE_TYPES = {
+    hurdle: { label: 'ハードル', defaultWidth: 14, sides: ['front', 'top'], sensor: 0 },
+    moving: { label: '動くハードル', defaultWidth: 14, sides: ['front', 'top'], sensor: 1 / 3 },
+    pit: { label: '穴', defaultWidth: 30, sides: ['fall'], sensor: 2 / 3 },
+    bar: { label: 'バー', defaultWidth: 14, sides: ['front', 'bottom'], sensor: 1 }
+  };
+
+  /**
+   * 手動配置の高さ倍率として使える範囲。ハードルはレベルの下限から、頭上のバーは地面を走る走者が通れる高さから。
+   * 穴には高さがない。
+   */
+  function getManualMultiplierRange(type, level, settings) {
+    if (type === 'bar') {
+      return { min: 1.2, max: settings.maxHurdleHeightMultiplier };
+    }
+    const difficulty = getLevelDifficulty(level, settings);
+    return { min: difficulty.minMultiplier, max: settings.maxHurdleHeightMultiplier };
+  }
+
+  /**
+   * 手動配置の 1 項目の数値欄を読む。空欄は null、数値として読めなければ NaN。
+   */
+  function readManualNumber(field) {
+    return field === '' ? null : Number(field);
+  }
+
+  /**
+   * 手動配置の 1 項目（「距離:高さ倍率:幅:種類」）を解析する。使えない項目は issues にエラーを積んで null を返す。
+   */
+  function parseManualEntry(text, line, issues) {
+    const report = (severity, message) => issues.push({ severity, line, entry: text, message });
+    const fields = text.split(':').map(part => part.trim());
+    if (fields.length > 4) {
+      report('error', '区切りの「:」が多すぎます。「距離:高さ倍率:幅:種類」の順に書いてください');
+      return null;
+    }
+    const [positionField, multiplierField = '', widthField = '', typeField = ''] = fields;
+    const position = readManualNumber(positionField);
+    if (position === null || Number.isNaN(position)) {
+      report('error', `距離「${positionField}」が数値ではありません`);
+      return null;
+    }
+    const type = Object.keys(OBSTACLE_TYPES).find(key => key === typeField.toLowerCase() || OBSTACLE_TYPES[key].label === typeField)
+      || (typeField === '' ? 'hurdle' : null);
+    if (!type) {
+      const known = Object.keys(OBSTACLE_TYPES).map(key => `${key}（${OBSTACLE_TYPES[key].label}）`).join('・');
+      report('error', `種類「${typeField}」は使えません。使える種類: ${known}`);
+      return null;
+    }
+    let multiplier = readManualNumber(multiplierField);
+    if (multiplier === null || Number.isNaN(multiplier)) {
+      if (multiplier !== null) {
+        report('warning', `高さ倍率「${multiplierField}」が数値ではないため 1.5 を使います`);
+      }
+      multiplier = 1.5;
+    }
+    const defaultWidth = OBSTACLE_TYPES[type].defaultWidth;
+    let width = readManualNumber(widthField);
+    if (width === null || Number.isNaN(width)) {
+      if (width !== null) {
+        report('warning', `幅「${widthField}」が数値ではないため ${defaultWidth} を使います`);
+      }
+      width = defaultWidth;
+    } else if (width < MANUAL_HURDLE_WIDTH_MIN || width > MANUAL_HURDLE_WIDTH_MAX) {
+      width = clamp(width, MANUAL_HURDLE_WIDTH_MIN, MANUAL_HURDLE_WIDTH_MAX);
+      report('warning', `幅は ${MANUAL_HURDLE_WIDTH_MIN}〜${MANUAL_HURDLE_WIDTH_MAX} の範囲に収めるため ${width} にします`);
+    }
+    return { position, multiplier, width, type, line, text };
+  }
+
+  /**
+   * 手動配置のテキストを解析する。項目は「距離:高さ倍率:幅:種類」（距離以外は省略・空欄で既定値）で、カンマか改行で区切る。
+   * # から行末まではコメント。[レベル N]（[level N] も可）の行より後の項目は、レベル N 以降に使うコースになる。
+   * 書式の誤りだけを調べ、範囲や間隔は buildManualCourse() で調べる。
+   * 戻り値の sections はレベルの昇順で、先頭は常にレベル 1（見出しより前の項目）。
+   */
+  function parseManualCourse(text) {
+    const base = { level: 1, entries: [] };
+    const sections = [base];
+    const declared = new Set();
+    const issues = [];
+    let current = base;
+    (text || '').split('\n').forEach((rawLine, lineIndex) => {
+      const line = lineIndex + 1;
+      const content = rawLine.replace(/#.*$/, '').trim();
+      if (!content) return;
+      if (content.startsWith('[')) {
+        const match = content.match(/^\[\s*(?:level|レベル)\s*(\d+)\s*\]$/i);
+        const level = match ? parseInt(match[1], 10) : 0;
+        if (level < 1) {
+          issues.push({ severity: 'error', line, entry: content, message: 'セクションの見出しは [レベル 2] のように書いてください' });
+          return;
+        }
+        if (declared.has(level)) {
+          issues.push({ severity: 'warning', line, entry: content, message: `レベル ${level} のセクションが重複しています。同じセクションの続きとして扱います` });
+        }
+        declared.add(level);
+        current = sections.find(section => section.level === level);
+        if (!current) {
+          current = { level, entries: [] };
+          sections.push(current);
+        }
+        return;
+      }
+      content
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .forEach(entryText => {
+          const entry = parseManualEntry(entryText, line, issues);
+          if (entry) {
+            current.entries.push(entry);
+          }
+        });
+    });
+    sections.sort((a, b) => a.level - b.level);
+    return { sections, issues };
+  }
+
+  /**
+   * 手動配置の距離がコースの範囲内か。範囲外の項目は配置されない。
+   */
+  function isManualPositionInBounds(position, settings) {
+    return !Number.isNaN(position) && position > 50 && position < settings.courseLength - 40;
+  }
+
+  /**
+   * 1 つのセクションの項目をレベル level のコースとして並べる。セクションのレベルより上のレベルでは高さを上げ、
+   * ランダムなハードルを足す。範囲外・高さの調整・間隔による移動や削除は issues に積む。
+   * 配置できる項目がなければ、random があればランダム配置のコースを返す（なければ空）。
+   */
+  function placeManualSection(section, settings, level, random, issues) {
+    const runnerDiameter = settings.runnerRadius * 2;
+    const effectiveLevel = level || 1;
+    const difficulty = getLevelDifficulty(effectiveLevel, settings);
+    const heightBoost = 1 + Math.max(0, effectiveLevel - section.level) * 0.15;
+    const report = (severity, entry, message) => issues.push({ severity, line: entry.line, entry: entry.text, message });
+    const sources = new Map();
+    const entries = [];
+    section.entries.forEach((entry, idx) => {
+      if (!isManualPositionInBounds(entry.position, settings)) {
+        report('error', entry, `距離 ${entry.position} はコースの範囲外です（50 より大きく ${settings.courseLength - 40} より小さい値）`);
+        return;
+      }
+      const obstacle = {
+        id: `manual-${idx}`,
+        type: entry.type,
+        x: entry.position,
+        width: entry.width,
+        height: 0,
+        hit: false
+      };
+      if (entry.type !== 'pit') {
+        // 頭上のバーはレベルで高さを上げない（上げると通りやすくなる）。
+        const requested = entry.type === 'bar' ? entry.multiplier : entry.multiplier * heightBoost;
+        let multiplier = clamp(requested, BASE_MANUAL_MIN_MULTIPLIER, settings.maxHurdleHeightMultiplier);
+        const range = getManualMultiplierRange(entry.type, effectiveLevel, settings);
+        if (multiplier < range.min) {
+          multiplier = range.min;
+        }
+        if (Math.abs(multiplier - requested) > 1e-9) {
+          report('warning', entry, `高さ倍率はレベル ${effectiveLevel} では ${Number(multiplier.toFixed(2))} になります（範囲 ${range.min.toFixed(1)}〜${range.max}）`);
+        }
+        obstacle.height = runnerDiameter * multiplier;
+      }
+      if (entry.type === 'moving') {
+        obstacle.amplitude = difficulty.movingAmplitude;
+        obstacle.period = (difficulty.movingPeriodMin + difficulty.movingPeriodMax) / 2;
+        obstacle.phase = 0;
+      }
+      sources.set(obstacle.id, entry);
+      entries.push(obstacle);
+    });
+    let combined = entries;
+
+    if (combined.length === 0) {
+      if (section.entries.length > 0) {
+        issues.push({ severity: 'error', line: null, entry: null, message: `レベル ${section.level} に配置できる項目がないため、ランダム配置のコースを使います` });
+      }
+      return random ? generateRandomHurdles(settings.courseLength, settings, effectiveLevel, random) : [];
+    }
+
+    if (effectiveLevel > section.level) {
+      const extraPool = generateRandomHurdles(settings.courseLength, settings, effectiveLevel, random);
+      const extraCount = Math.min(extraPool.length, effectiveLevel + Math.ceil(combined.length / 2));
+      combined = combined.concat(extraPool.slice(0, extraCount));
+    }
+
+    // 間隔は、設定に控えてある今のレベルの値ではなく、このコースを置くレベルの難易度で空ける。
+    const spacingSettings = Object.assign(Object.create(settings), { hurdleMinGapFactor: difficulty.gapFactor });
+    const placed = enforceObstacleSpacing(combined, spacingSettings);
+    const placedById = new Map(placed.map(obstacle => [obstacle.id, obstacle]));
+    sources.forEach((entry, id) => {
+      const obstacle = placedById.get(id);
+      if (!obstacle) {
+        report('error', entry, '前の障害物との間隔が取れず、ゴールまでに置く場所がないため配置されません');
+      } else if (Math.abs(obstacle.x - entry.position) > 0.5) {
+        report('warning', entry, `前の障害物との間隔を空けるため、距離 ${Math.round(obstacle.x)} に移動します`);
+      }
+    });
+    return placed;
+  }
+
+  /**
+   * 手動配置のテキストからレベル level のコースを作る。使うのは level 以下で最も近いレベルのセクション
+   * （なければ項目のある最初のセクション）。戻り値は { obstacles, issues }。
+   * issues は { severity: 'error' | 'warning', line, entry, message } の配列で、line と entry はテキスト上の行番号と項目。
+   */
+  function buildManualCourse(text, settings, level, random) {
+    const { sections, issues } = parseManualCourse(text);
+    const usable = sections.filter(section => section.entries.length > 0);
+    if (usable.length === 0) {
+      if (!(text || '').trim()) {
+        return { obstacles: [], issues };
+      }
+      issues.push({ severity: 'error', line: null, entry: null, message: '有効な項目がないため、ランダム配置のコースを使います' });
+      return { obstacles: random ? generateRandomHurdles(settings.courseLength, settings, level || 1, random) : [], issues };
+    }
+    const section = usable.filter(candidate => candidate.level <= (level || 1)).pop() || usable[0];
+    return { obstacles: placeManualSection(section, settings, level, random, issues), issues };
+  }
+
+  /**
+   * 入力欄の確認用。すべてのセクションをそれぞれのレベルで並べてみて、書式と配置の問題をまとめて返す。
+   * 戻り値は { issues, sections: [{ level, count }] }（count は実際に置かれる障害物の数）。
+   */
+  function checkManualCourse(text, settings) {
+    const { sections, issues } = parseManualCourse(text);
+    const usable = sections.filter(section => section.entries.length > 0);
+    if (usable.length === 0 && (text || '').trim()) {
+      issues.push({ severity: 'error', line: null, entry: null, message: '有効な項目がないため、ランダム配置のコースを使います' });
+    }
+    const counts = usable.map(section => ({
+      level: section.level,
+      count: placeManualSection(section, settings, section.level, null, issues).length
+    }));
+    issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+    return { issues, sections: counts };
+  }
+
+  /**
+   * ランダムなハードル配置を生成。
+   */
+  function generateRandomHurdles(length, settings, level, random) {
+    const runnerDiameter = settings.runnerRadius * 2;
+    const effectiveLevel = level || 1;
+    const difficulty = getLevelDifficulty(effectiveLevel, settings);
+    const divisor = BASE_RANDOM_HURDLE_DIVISOR / difficulty.countBoost;
+    const hurdleCount = Math.max(6 + (effectiveLevel - 1), Math.round(length / divisor));
+    const segmentLength = Math.max((length - 240) / hurdleCount, runnerDiameter * 1.8);
+    const hurdles = [];
+    let segmentStart = 120;
+
+    for (let i = 0; i < hurdleCount; i++) {
+      const widthRange = Math.max(difficulty.widthMax - difficulty.widthMin, 0.0001);
+      const rawWidth = random.range(difficulty.widthMin, difficulty.widthMin + widthRange);
+      const width = clamp(rawWidth, difficulty.widthMin, difficulty.widthMax);
+      const multiplierRange = Math.max(difficulty.maxMultiplier - difficulty.minMultiplier, 0.0001);
+      const rawMultiplier = random.range(
+        difficulty.minMultiplier,
+        difficulty.minMultiplier + multiplierRange
+      );
+      const multiplier = clamp(rawMultiplier, difficulty.minMultiplier, difficulty.maxMultiplier);
+      const height = runnerDiameter * multiplier;
+      const segmentEnd = segmentStart + segmentLength;
+      let maxPosition = Math.min(length - 140 - width, segmentEnd - width);
+      let minPosition = Math.max(segmentStart, 80 + i * 20);
+      if (maxPosition <= minPosition) {
+        maxPosition = minPosition + settings.runnerRadius * 4;
+      }
+      const positionRange = Math.max(maxPosition - minPosition, settings.runnerRadius);
+      const position = clamp(
+        random.range(minPosition, minPosition + positionRange),
+        minPosition,
+        maxPosition
+      );
+      const hurdle = {
+        id: `rand-${i}`,
+        type: 'hurdle',
+        x: position,
+        width,
+        height,
+        hit: false
+      };
+      if (difficulty.pitChance + difficulty.barChance + difficulty.movingChance > 0) {
+        applySpecialObstacle(hurdle, difficulty, runnerDiameter, random);
+      }
+      hurdles.push(hurdle);
+      const spacingModifier = random.range(0.5, 1.1);
+      segmentStart += segmentLength * spacingModifier;
+      segmentStart = Math.min(segmentStart, length - 180);
+    }
+
+    // 間隔も、設定に控えてある今のレベルの値ではなく、このコースのレベルの難易度で空ける。
+    return enforceObstacleSpacing(hurdles, Object.assign(Object.create(settings), { hurdleMinGapFactor: difficulty.gapFactor }));
+  }
+
+  /**
+   * ハードル間の最小間隔を強制する。
+   */
+  function enforceObstacleSpacing(hurdles, settings) {
+    if (!hurdles || hurdles.length === 0) return [];
+    const sorted = [...hurdles].sort((a, b) => a.x - b.x);
+    const filtered = [];
+    sorted.forEach(current => {
+      const candidate = { ...current, hit: false };
+      if (filtered.length === 0) {
+        candidate.x = Math.max(candidate.x, 80);
+        filtered.push(candidate);
+        return;
+      }
+      const prev = filtered[filtered.length - 1];
+      const prevRight = prev.x + prev.width;
+      const gap = candidate.x - prevRight;
+      const minGap = settings.hurdleMinGapFactor * Math.max(prev.width, candidate.width);
+      let adjustedX = candidate.x;
+      if (gap < minGap) {
+        adjustedX = prevRight + minGap;
+      }
+      const maxAllowed = settings.courseLength - 80 - candidate.width;
+      adjustedX = clamp(adjustedX, prevRight + minGap, maxAllowed);
+      if (adjustedX > prevRight) {
+        candidate.x = adjustedX;
+        filtered.push(candidate);
+      }
+    });
+    return filtered;
+  }
+
+  // ニューラルネット制御の入力（センサー）と出力の名前。順序はネットワークの重みの並びと対応する。
+  const NEURAL_INPUTS = [
+    '次の障害物までの距離',
+    '次の障害物の高さ',
+    '次の障害物の幅',
+    'その次の障害物までの距離',
+    'その次の障害物の高さ',
+    '垂直速度',
+    '接地',
+    '地面からの高さ',
+    '次の障害物の種類'
+  ];
+  const NEURAL_OUTPUTS = ['ジャンプ', 'ジャンプの強さ', '歩幅'];
+
+  /**
+   * 遺伝子型に応じた遺伝子数を返す。neural では各層の重みとバイアスの総数になる。
+   */
+  function getGenomeLength(settings) {
+    if (settings.genomeType !== 'neural') {
+      return settings.genomeLength;
+    }
+    const hidden = settings.neuralHiddenUnits;
+    return (NEURAL_INPUTS.length + 1) * hidden + (hidden + 1) * NEURAL_OUTPUTS.length;
+  }
+
+  /**
+   * 遺伝子配列をニューラルネットの重みに変換する。各ニューロンの重みの最後がバイアス。
+   * 遺伝子は他の遺伝子型と同じく 0〜1 のまま進化させ、ここで -scale〜+scale に写像する。
+   */
+  function decodeNetwork(genome, settings) {
+    const scale = settings.neuralWeightScale;
+    let cursor = 0;
+    const takeLayer = (inputCount, unitCount) => {
+      const layer = [];
+      for (let unit = 0; unit < unitCount; unit++) {
+        const weights = [];
+        for (let i = 0; i <= inputCount; i++) {
+          weights.push((genome[cursor] - 0.5) * 2 * scale);
+          cursor += 1;
+        }
+        layer.push(weights);
+      }
+      return layer;
+    };
+    const hidden = takeLayer(NEURAL_INPUTS.length, settings.neuralHiddenUnits);
+    const output = takeLayer(settings.neuralHiddenUnits, NEURAL_OUTPUTS.length);
+    return { hidden, output };
+  }
+
+  /**
+   * 順伝播。隠れ層は tanh、出力層はシグモイドで 0〜1 に収める。
+   */
+  function runNetwork(network, inputs) {
+    const activate = (layer, values, fn) => layer.map(weights => {
+      let sum = weights[values.length]; // バイアス
+      for (let i = 0; i < values.length; i++) {
+        sum += weights[i] * values[i];
+      }
+      return fn(sum);
+    });
+    const hidden = activate(network.hidden, inputs, Math.tanh);
+    return activate(network.output, hidden, value => 1 / (1 + Math.exp(-value)));
+  }
+
+  /**
+   * 複数コースでの値を 1 つにまとめる。min は最も苦手なコースで評価するので、どのコースでも走れる個体が残る。
+   */
+  function aggregateScores(values, method) {
+    if (values.length === 0) return 0;
+    if (method === 'min') {
+      return Math.min(...values);
+    }
+    if (method === 'median') {
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    return values.reduce((acc, value) => acc + value, 0) / values.length;
+  }
+
+  /**
+   * 走り終えた個体の適応度を、設定された重みで各指標を組み合わせて求める。
+   * 完走ボーナスは走行時間の上限から実際にかかったフレーム数を引いた「残りフレーム数」に比例する。
+   */
+  function computeFitness(runner, settings) {
+    const maxFrames = settings.genomeLength * settings.geneDuration;
+    const framesLeft = runner.success ? maxFrames - runner.elapsedFrames : 0;
+    return settings.fitnessWeightDistance * runner.distance
+      + settings.fitnessWeightFinishTime * framesLeft
+      - settings.fitnessWeightJumps * runner.jumpCount
+      - settings.fitnessWeightJumpPower * runner.jumpPowerTotal
+      - (runner.crashed ? settings.fitnessWeightCrash : 0);
+  }
+
+  /**
+   * 島モデルで扱える島の最大数。
+   */
+  const MAX_ISLANDS = 6;
+
+  /**
+   * 島ごとに上書きできる設定項目。
+   */
+  const ISLAND_OVERRIDE_KEYS = ['mutationRate', 'selectionMethod', 'tournamentSize'];
+
+  /**
+   * 比較モードの設定 A・B の名前。
+   */
+  const COMPARISON_LANES = ['A', 'B'];
+
+  /**
+   * 比較モードで設定 A・B ごとに上書きできる設定項目。遺伝子の表し方は平均遺伝子などを並べて比べるため共通にする。
+   */
+  const COMPARISON_OVERRIDE_KEYS = [
+    'populationSize', 'mutationRate', 'mutationType', 'mutationSchedule', 'selectionMethod',
+    'tournamentSize', 'crossoverMethod', 'crossoverRate', 'replacementMode', 'nicheMode'
+  ];
+
+  /**
+   * 2 つの遺伝子配列の距離。遺伝子ごとの差の絶対値の平均で、0（同一）〜 1 の値になる。
+   */
+  function genomeDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += Math.abs(a[i] - b[i]);
+    }
+    return a.length ? sum / a.length : 0;
+  }
+
+  /**
+   * 個体群の多様性。すべての組み合わせの遺伝子距離の平均で、収束するほど 0 に近づく。
+   */
+  function measureDiversity(individuals) {
+    let sum = 0;
+    let pairs = 0;
+    for (let i = 0; i < individuals.length; i++) {
+      for (let j = i + 1; j < individuals.length; j++) {
+        sum += genomeDistance(individuals[i].genome, individuals[j].genome);
+        pairs += 1;
+      }
+    }
+    return pairs ? sum / pairs : 0;
+  }
+
+  /**
+   * 先頭から順に、代表個体との距離が threshold 未満の最初の種へ振り分け、個体ごとの種番号を配列で返す。
+   * どの種にも入らなければその個体を代表とする新しい種を作る。
+   */
+  function classifySpecies(individuals, threshold) {
+    const representatives = [];
+    return individuals.map(individual => {
+      let species = representatives.findIndex(rep => genomeDistance(rep.genome, individual.genome) < threshold);
+      if (species < 0) {
+        species = representatives.length;
+        representatives.push(individual);
+      }
+      return species;
+    });
+  }
+
+  /**
+   * 適応度の高い順に種を分けたときの種の数。
+   */
+  function countSpecies(individuals, threshold) {
+    const ranked = [...individuals].sort((a, b) => b.fitness - a.fitness);
+    return new Set(classifySpecies(ranked, threshold)).size;
+  }
+
+  /**
+   * 個体群の平均遺伝子。世代ごとの履歴に残すため小数第 3 位で丸める。
+   */
+  function meanGenome(individuals) {
+    const length = Math.max(0, ...individuals.map(individual => individual.genome.length));
+    const sums = new Array(length).fill(0);
+    individuals.forEach(individual => {
+      individual.genome.forEach((gene, index) => {
+        sums[index] += gene;
+      });
+    });
+    return sums.map(sum => Math.round((sum / individuals.length) * 1000) / 1000);
+  }
+
+  /**
+   * 障害物ごとに、この世代で衝突した個体の数を面別に数える。結果はコースの並び順の配列。
+   */
+  function countCrashes(individuals, obstacles) {
+    const counts = new Map(obstacles.map(obstacle => {
+      const sides = OBSTACLE_TYPES[obstacle.type || 'hurdle'].sides;
+      return [obstacle.id, Object.fromEntries(sides.map(side => [side, 0]))];
+    }));
+    individuals.forEach(individual => {
+      const count = individual.crashed ? counts.get(individual.hitObstacleId) : null;
+      if (count) {
+        count[individual.hitSide] += 1;
+      }
+    });
+    return obstacles.map(obstacle => ({
+      id: obstacle.id,
+      type: obstacle.type || 'hurdle',
+      x: obstacle.x,
+      height: obstacle.height,
+      ...counts.get(obstacle.id)
+    }));
+  }
+
+  /**
+   * 多目的モード（NSGA-II）で使う目的。maximize が false のものは小さいほど良い。
+   */
+  const PARETO_OBJECTIVES = [
+    { key: 'distance', label: '到達距離', maximize: true },
+    { key: 'frames', label: '完走までのフレーム数', maximize: false },
+    { key: 'jumps', label: 'ジャンプ回数', maximize: false }
+  ];
+
+  /**
+   * 1 個体の各コースでの走り runs から目的の値を求める。
+   * 完走できなかったコースのフレーム数は走行時間の上限として数え、途中で倒れた個体が「速い」と扱われないようにする。
+   */
+  function measureObjectives(runs, settings) {
+    const maxFrames = settings.genomeLength * settings.geneDuration;
+    return {
+      distance: aggregateScores(runs.map(run => run.distance), settings.fitnessAggregate),
+      frames: aggregateScores(runs.map(run => (run.success ? run.elapsedFrames : maxFrames)), 'mean'),
+      jumps: aggregateScores(runs.map(run => run.jumpCount), 'mean')
+    };
+  }
+
+  /**
+   * a が b を優越する（すべての目的で同等以上、かつどれかで真に良い）かどうか。
+   */
+  function dominates(a, b) {
+    let better = false;
+    for (const objective of PARETO_OBJECTIVES) {
+      const diff = objective.maximize
+        ? a[objective.key] - b[objective.key]
+        : b[objective.key] - a[objective.key];
+      if (diff < 0) return false;
+      if (diff > 0) better = true;
+    }
+    return better;
+  }
+
+  /**
+   * 高速非優越ソート。objectives を持つ要素をパレートフロントごとの配列に分け、
+   * 各要素の paretoRank（0 が最前列）を設定する。
+   */
+  function nonDominatedSort(items) {
+    const dominatedBy = items.map(() => []);
+    const dominationCount = items.map(() => 0);
+    const fronts = [[]];
+    items.forEach((item, i) => {
+      items.forEach((other, j) => {
+        if (i === j) return;
+        if (dominates(item.objectives, other.objectives)) {
+          dominatedBy[i].push(j);
+        } else if (dominates(other.objectives, item.objectives)) {
+          dominationCount[i] += 1;
+        }
+      });
+      if (dominationCount[i] === 0) {
+        item.paretoRank = 0;
+        fronts[0].push(i);
+      }
+    });
+    for (let rank = 0; fronts[rank].length > 0; rank++) {
+      const next = [];
+      fronts[rank].forEach(i => {
+        dominatedBy[i].forEach(j => {
+          dominationCount[j] -= 1;
+          if (dominationCount[j] === 0) {
+            items[j].paretoRank = rank + 1;
+            next.push(j);
+          }
+        });
+      });
+      fronts.push(next);
+    }
+    fronts.pop();
+    return fronts.map(front => front.map(i => items[i]));
+  }
+
+  /**
+   * 同じフロント内の混雑距離 crowdingDistance を設定する。両端は無限大にして必ず残す。
+   */
+  function assignCrowdingDistance(front) {
+    front.forEach(item => {
+      item.crowdingDistance = 0;
+    });
+    for (const objective of PARETO_OBJECTIVES) {
+      const sorted = [...front].sort((a, b) => a.objectives[objective.key] - b.objectives[objective.key]);
+      const span = sorted[sorted.length - 1].objectives[objective.key] - sorted[0].objectives[objective.key];
+      sorted[0].crowdingDistance = Infinity;
+      sorted[sorted.length - 1].crowdingDistance = Infinity;
+      if (span === 0) continue;
+      for (let i = 1; i < sorted.length - 1; i++) {
+        sorted[i].crowdingDistance +=
+          (sorted[i + 1].objectives[objective.key] - sorted[i - 1].objectives[objective.key]) / span;
+      }
+    }
+  }
+
+  /**
+   * 混雑度比較：フロントが前の個体を優先し、同じフロントなら混雑距離が大きい（まばらな）個体を優先する。
+   */
+  function compareCrowded(a, b) {
+    if (a.paretoRank !== b.paretoRank) return a.paretoRank - b.paretoRank;
+    return b.crowdingDistance - a.crowdingDistance;
+  }
+
+  /**
+   * どの要素にも優越されない要素だけを残す。島ごとのフロントをまとめるときに使う。
+   */
+  function filterNonDominated(items) {
+    return items.filter(item => !items.some(other => dominates(other.objectives, item.objectives)));
+  }
+
+  /**
+   * 履歴に残すためにフロントの目的値を丸め、同じ点をまとめて距離順に並べる。
+   */
+  function summarizeFront(front) {
+    const points = new Map();
+    front.forEach(ind => {
+      const point = {
+        distance: Math.round(ind.objectives.distance * 10) / 10,
+        frames: Math.round(ind.objectives.frames * 10) / 10,
+        jumps: Math.round(ind.objectives.jumps * 10) / 10
+      };
+      points.set(`${point.distance}:${point.frames}:${point.jumps}`, point);
+    });
+    return [...points.values()].sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * NSGA-II の二者トーナメント。混雑度比較で勝った方を親にする。
+   */
+  function crowdedTournament(pool, count, settings, random) {
+    const parents = [];
+    for (let i = 0; i < count; i++) {
+      const a = pool[Math.floor(random.next() * pool.length)];
+      const b = pool[Math.floor(random.next() * pool.length)];
+      parents.push(compareCrowded(a, b) <= 0 ? a : b);
+    }
+    return parents;
+  }
+
+  /**
+   * ルーレット系の選択で使う重み。適応度は負にもなり得るので、最小値が 1 になるようずらす。
+   */
+  function rouletteWeights(pool) {
+    const lowest = Math.min(0, ...pool.map(ind => ind.fitness));
+    return pool.map(ind => ind.fitness - lowest + 1);
+  }
+
+  /**
+   * 重みに比例した確率で pool から 1 個体を選ぶ。threshold は 0〜total の値。
+   */
+  function pickByWeight(pool, weights, threshold) {
+    let remaining = threshold;
+    for (let i = 0; i < pool.length; i++) {
+      remaining -= weights[i];
+      if (remaining <= 0) {
+        return pool[i];
+      }
+    }
+    return pool[0];
+  }
+
+  /**
+   * 配列をその場でシャッフルする（Fisher–Yates）。
+   */
+  function shuffleInPlace(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  /**
+   * 親選択の戦略。どれも (pool, count, settings, random) を受け取り、count 個の親を配列で返す。
+   * pool は適応度（fitness）の降順に並んだ個体群で、同じ個体が何度選ばれてもよい。
+   */
+  const SELECTION_STRATEGIES = {
+    /**
+     * ルーレット（重み付き）選択。適応度が高いほど選ばれやすくなる。
+     */
+    roulette(pool, count, settings, random) {
+      const weights = rouletteWeights(pool);
+      const total = weights.reduce((acc, weight) => acc + weight, 0);
+      const parents = [];
+      for (let i = 0; i < count; i++) {
+        parents.push(pickByWeight(pool, weights, random.next() * total));
+      }
+      return parents;
+    },
+
+    /**
+     * トーナメント選択。無作為に tournamentSize 体を選び、その中で最も適応度の高い個体を親にする。
+     * サイズを大きくするほど選択圧が強くなる。
+     */
+    tournament(pool, count, settings, random) {
+      const size = clamp(Math.round(settings.tournamentSize) || 2, 2, pool.length);
+      const parents = [];
+      for (let i = 0; i < count; i++) {
+        let winner = null;
+        for (let j = 0; j < size; j++) {
+          const contender = pool[Math.floor(random.next() * pool.length)];
+          if (!winner || contender.fitness > winner.fitness) {
+            winner = contender;
+          }
+        }
+        parents.push(winner);
+      }
+      return parents;
+    },
+
+    /**
+     * ランク選択。適応度の値そのものではなく順位に比例した重み（1 位が N、最下位が 1）で選ぶ。
+     * 適応度の差が小さくなっても選択圧が一定に保たれる。
+     */
+    rank(pool, count, settings, random) {
+      const weights = pool.map((ind, index) => pool.length - index);
+      const total = (pool.length * (pool.length + 1)) / 2;
+      const parents = [];
+      for (let i = 0; i < count; i++) {
+        parents.push(pickByWeight(pool, weights, random.next() * total));
+      }
+      return parents;
+    },
+
+    /**
+     * 確率的普遍抽出（SUS）。ルーレットを等間隔の count 本の針で 1 回だけ回し、
+     * 期待値どおりの回数だけ各個体が選ばれるようにする。ペアが偏らないよう最後にシャッフルする。
+     */
+    sus(pool, count, settings, random) {
+      const weights = rouletteWeights(pool);
+      const total = weights.reduce((acc, weight) => acc + weight, 0);
+      const spacing = total / count;
+      let pointer = random.next() * spacing;
+      let cumulative = weights[0];
+      let index = 0;
+      const parents = [];
+      for (let i = 0; i < count; i++) {
+        while (pointer > cumulative && index < pool.length - 1) {
+          index += 1;
+          cumulative += weights[index];
+        }
+        parents.push(pool[index]);
+        pointer += spacing;
+      }
+      return shuffleInPlace(parents, random);
+    }
+  };
+
+  /**
+   * 交叉演算子。どれも (genomeA, genomeB, settings, random) を受け取り、新しい子の遺伝子配列を返す。
+   */
+  const CROSSOVER_OPERATORS = {
+    /**
+     * 単一点交叉：ある時点で親を切り替える。
+     */
+    single(genomeA, genomeB, settings, random) {
+      const cutPoint = Math.floor(random.next() * genomeA.length);
+      const child = [];
+      for (let i = 0; i < genomeA.length; i++) {
+        child.push(i < cutPoint ? genomeA[i] : genomeB[i]);
+      }
+      return child;
+    },
+
+    /**
+     * 二点交叉：2 つの切断点の間だけもう一方の親から受け継ぐ。
+     */
+    'two-point'(genomeA, genomeB, settings, random) {
+      let first = Math.floor(random.next() * genomeA.length);
+      let second = Math.floor(random.next() * genomeA.length);
+      if (first > second) {
+        [first, second] = [second, first];
+      }
+      const child = [];
+      for (let i = 0; i < genomeA.length; i++) {
+        child.push(i >= first && i < second ? genomeB[i] : genomeA[i]);
+      }
+      return child;
+    },
+
+    /**
+     * 一様交叉：遺伝子ごとに五分五分でどちらの親から受け継ぐかを決める。
+     */
+    uniform(genomeA, genomeB, settings, random) {
+      const child = [];
+      for (let i = 0; i < genomeA.length; i++) {
+        child.push(random.next() < 0.5 ? genomeA[i] : genomeB[i]);
+      }
+      return child;
+    },
+
+    /**
+     * ブレンド交叉（BLX-α）：実数値の遺伝子ごとに、両親の値の区間を α だけ外側へ広げた範囲から一様に選ぶ。
+     * 親の値をそのまま受け継ぐ他の演算子と違い、親の間や少し外側の新しい値が生まれる。
+     */
+    blend(genomeA, genomeB, settings, random) {
+      const alpha = settings.blendAlpha;
+      const child = [];
+      for (let i = 0; i < genomeA.length; i++) {
+        const low = Math.min(genomeA[i], genomeB[i]);
+        const high = Math.max(genomeA[i], genomeB[i]);
+        const spread = (high - low) * alpha;
+        child.push(clamp(random.range(low - spread, high + spread), 0, 1));
+      }
+      return child;
+    }
+  };
+
+  /**
+   * スナップショットの形式を検査し、復元できない内容なら理由を添えて例外を投げる。
+   * ファイルから読み込んだ JSON を restoreSnapshot() に渡す前に使う。
+   */
+  function validateSnapshot(snapshot) {
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    if (!snapshot || typeof snapshot !== 'object') {
+      throw new Error('スナップショットがオブジェクトではありません。');
+    }
+    if (!snapshot.settings || typeof snapshot.settings !== 'object') {
+      throw new Error('設定値（settings）がありません。');
+    }
+    ['rngState', 'level', 'generation'].forEach(key => {
+      if (!isNumber(snapshot[key])) {
+        throw new Error(`${key} が数値ではありません。`);
+      }
+    });
+    if (!Array.isArray(snapshot.obstacles) || snapshot.obstacles.some(o => !o || !isNumber(o.x) || !isNumber(o.width) || !isNumber(o.height))) {
+      throw new Error('ハードル配置（obstacles）が不正です。');
+    }
+    const islands = getSnapshotIslands(snapshot);
+    if (!Array.isArray(islands) || islands.length === 0 || islands.length > MAX_ISLANDS) {
+      throw new Error('島（islands）の数が不正です。');
+    }
+    const genomeLength = getGenomeLength(snapshot.settings);
+    islands.forEach(island => {
+      if (!island || !Array.isArray(island.genomes) || island.genomes.length === 0) {
+        throw new Error('個体の遺伝子（genomes）がありません。');
+      }
+      if (island.genomes.some(genome => !Array.isArray(genome) || genome.length !== genomeLength || !genome.every(isNumber))) {
+        throw new Error(`遺伝子は長さ ${genomeLength} の数値配列である必要があります。`);
+      }
+      const strengths = island.mutation && island.mutation.strengths;
+      if (strengths && (!Array.isArray(strengths) || strengths.length !== island.genomes.length || !strengths.every(isNumber))) {
+        throw new Error('個体ごとの変異強度（mutation.strengths）が不正です。');
+      }
+    });
+    if (snapshot.testCourse && !Array.isArray(snapshot.testCourse)) {
+      throw new Error('汎化テスト用コース（testCourse）が不正です。');
+    }
+    if (!Array.isArray(snapshot.history)) {
+      throw new Error('世代履歴（history）がありません。');
+    }
+    const hallOfFame = snapshot.hallOfFame;
+    if (hallOfFame) {
+      if (!Array.isArray(hallOfFame.courses) || !Array.isArray(hallOfFame.entries)) {
+        throw new Error('殿堂入りの記録（hallOfFame）が不正です。');
+      }
+      hallOfFame.entries.forEach(entry => {
+        if (!entry || !hallOfFame.courses[entry.course] || !Array.isArray(entry.genome) || entry.genome.length !== genomeLength) {
+          throw new Error('殿堂入りの記録（hallOfFame）が不正です。');
+        }
+      });
+    }
+  }
+
+  /**
+   * 殿堂入りの記録とともに控える、走りを決める設定項目。リプレイはこの値で走らせるので、後から物理の設定を変えても記録どおりに走る。
+   */
+  const REPLAY_SETTING_KEYS = [
+    'genomeType', 'genomeLength', 'geneDuration', 'neuralHiddenUnits', 'neuralWeightScale', 'sensorRange',
+    'runnerRadius', 'baseSpeed', 'gravity', 'jumpThreshold', 'jumpVelocityMin', 'jumpVelocityMax',
+    'jumpCooldownFrames', 'maxHurdleHeightMultiplier', 'courseLength'
+  ];
+
+  /**
+   * 殿堂入りの記録を JSON に変換できる形にする。同じコースと同じ設定は courses・settings に 1 回だけ書き、各記録からは番号で参照する。
+   */
+  function serializeHallOfFame(entries) {
+    const courses = [];
+    const settings = [];
+    return {
+      courses,
+      settings,
+      entries: entries.map(entry => {
+        let course = courses.indexOf(entry.course);
+        if (course < 0) {
+          course = courses.length;
+          courses.push(entry.course);
+        }
+        let settingsIndex = entry.settings ? settings.indexOf(entry.settings) : null;
+        if (settingsIndex < 0) {
+          settingsIndex = settings.length;
+          settings.push(entry.settings);
+        }
+        return { ...entry, genome: entry.genome.slice(), course, settings: settingsIndex };
+      })
+    };
+  }
+
+  /**
+   * serializeHallOfFame() の結果から記録を復元する。同じ番号のコースと設定は同じオブジェクトを共有する。
+   * 設定を控えていない古い記録の settings は null（リプレイは今の設定で走らせる）。
+   */
+  function deserializeHallOfFame(data) {
+    if (!data) return [];
+    const courses = data.courses.map(course => course.map(obstacle => ({ ...obstacle, hit: false })));
+    const settings = (data.settings || []).map(item => ({ ...item }));
+    return data.entries.map(entry => ({
+      ...entry,
+      genome: entry.genome.slice(),
+      course: courses[entry.course],
+      settings: settings[entry.settings] || null
+    }));
+  }
+
+  /**
+   * スナップショットに含まれる島ごとの個体群。島モデル導入前の形式（genomes などを直下に持つ）は 1 島として読む。
+   */
+  function getSnapshotIslands(snapshot) {
+    if (snapshot.islands) return snapshot.islands;
+    return [{ genomes: snapshot.genomes, overallBest: snapshot.overallBest, mutation: snapshot.mutation }];
+  }
+
+  /**
+   * 個体の由来として残す親の情報。親の個体そのものは次の世代で捨てられるので、表示に使う値だけを写す。
+   */
+  function describeParent(individual) {
+    return { id: individual.id, distance: individual.distance, fitness: individual.fitness };
+  }
+
+  /**
+   * 遺伝子表現は 2 種類ある。
+   *   - timeline: 時間軸に沿ってジャンプ命令の強さを並べた配列。ジャンプ命令が一定閾値を超えるとジャンプを試みる。
+   *   - neural  : 小さな全結合ネットワークの重み。毎フレームのセンサー入力からジャンプの有無と強さを決める。
+   */
+  class Individual {
+    constructor(genome, settings, mutationStrength) {
+      this.genome = genome.slice();
+      this.settings = settings;
+      this.network = settings.genomeType === 'neural' ? decodeNetwork(this.genome, settings) : null;
+      // 自己適応型突然変異で使う、この個体自身の変異強度（正規ノイズの標準偏差）。
+      this.mutationStrength = mutationStrength != null ? mutationStrength : settings.mutationSigma;
+      this.radius = settings.runnerRadius;
+      this.id = null; // 表示用の名前。Population.labelIndividuals() で決まる
+      // 由来：'initial' | 'elite' | 'offspring' | 'survivor' | 'migrant' | 'restored'。parents は describeParent() の配列
+      this.origin = 'initial';
+      this.parents = [];
+      this.resetState();
+    }
+
+    /**
+     * シミュレーション開始時の位置や速度をリセットする。
+     */
+    resetState() {
+      this.x = 40;
+      this.y = this.radius;
+      this.vx = this.settings.baseSpeed;
+      this.vy = 0;
+      this.elapsedFrames = 0;
+      this.finished = false;
+      this.crashed = false;
+      this.success = false;
+      this.distance = 0;
+      this.aggregateDistance = 0; // 訓練コース全体で集計した到達距離
+      this.courseDistances = [];
+      this.jumpCount = 0;
+      this.jumpPowerTotal = 0; // 踏み切り時の上向き速度の合計
+      this.jumpEvents = []; // 踏み切りの記録 { frame, x, power }
+      this.hitObstacleId = null; // 衝突した障害物の id
+      this.hitSide = null; // 衝突した面（'front': 手前の側面 / 'top': 上面）
+      this.trail = []; // recordTrails のときのフレームごとの位置 { x, y }
+      this.landingEvents = []; // recordTrails のときの着地の記録 { frame, x }
+      this.fitness = 0; // 選択に使う適応度。世代の評価時に Population.evaluateFitness() で決まる
+      this.objectives = null; // 多目的評価の値（PARETO_OBJECTIVES のキーごと）
+      this.paretoRank = 0;
+      this.crowdingDistance = 0;
+      this.speciesId = 0;
+      this.currentGeneIndex = -1;
+      this.jumpCooldown = 0;
+      this.canTriggerJump = true;
+    }
+
+    /**
+     * 遺伝子情報に基づいて 1 フレーム分の物理更新を行う。
+     */
+    update(obstacles, settings) {
+      if (this.finished) return;
+
+      this.elapsedFrames += 1;
+
+      const action = this.network
+        ? this.decideByNetwork(obstacles, settings)
+        : this.decideByTimeline(settings);
+
+      // ジャンプ判定：制御がジャンプを求め、かつジャンプ可能であればジャンプ。
+      const onGround = this.isOnGround();
+      if (onGround && this.jumpCooldown <= 0 && this.canTriggerJump && action.jump) {
+        this.vy = mapValue(action.power, 0, 1, settings.jumpVelocityMin, settings.jumpVelocityMax);
+        this.jumpCount += 1;
+        this.jumpPowerTotal += this.vy;
+        this.jumpEvents.push({ frame: this.elapsedFrames, x: this.x, power: action.power });
+        this.canTriggerJump = false;
+        this.jumpCooldown = settings.jumpCooldownFrames;
+      } else if (action.release) {
+        // 十分低い値に戻ったら次のジャンプを許可する。
+        this.canTriggerJump = true;
+      }
+
+      if (this.jumpCooldown > 0) {
+        this.jumpCooldown -= 1;
+      }
+
+      // 遺伝子により僅かに前進速度を変化させる（バリエーション付与）。
+      const forwardVelocity = this.vx + action.stride;
+
+      // 水平移動と重力による垂直移動（y は上向きが正）。
+      const wasAirborne = this.y > this.radius;
+      this.x += forwardVelocity;
+      this.vy -= settings.gravity;
+      this.y += this.vy;
+
+      // 地面との衝突判定。円の中心は地面から半径分の高さより下がらない。ただし穴の上には支えがなく、落ちたら失敗。
+      const pit = this.y < this.radius ? this.findPitBelow(obstacles) : null;
+      if (this.y < this.radius && !pit) {
+        this.y = this.radius;
+        this.vy = 0;
+      }
+
+      if (settings.recordTrails) {
+        this.trail.push({ x: this.x, y: this.y });
+        if (wasAirborne && this.y === this.radius) {
+          this.landingEvents.push({ frame: this.elapsedFrames, x: this.x });
+        }
+      }
+
+      this.distance = Math.max(this.distance, this.x);
+
+      // コースを完走した場合は成功フラグを立てる。
+      if (this.x >= settings.courseLength) {
+        this.distance = settings.courseLength;
+        this.success = true;
+        this.finished = true;
+        return;
+      }
+
+      if (pit) {
+        this.markHit(pit, 'fall');
+        this.crashed = true;
+        this.finished = true;
+        return;
+      }
+
+      // ハードルと衝突したら失敗。
+      if (this.collidesWith(obstacles, settings)) {
+        this.crashed = true;
+        this.finished = true;
+        return;
+      }
+
+      // 遺伝子長に応じて最大シミュレーション時間を超えたら終了。
+      const maxFrames = settings.genomeLength * settings.geneDuration;
+      if (this.elapsedFrames >= maxFrames) {
+        this.finished = true;
+      }
+    }
+
+    /**
+     * timeline 型の判断：経過フレーム数を geneDuration で割ったインデックスの遺伝子を参照する。
+     * jump/release はジャンプの要求と再ジャンプの許可、power は 0〜1 に正規化したジャンプの強さ。
+     */
+    decideByTimeline(settings) {
+      const geneIndex = Math.min(
+        Math.floor(this.elapsedFrames / settings.geneDuration),
+        this.genome.length - 1
+      );
+
+      if (geneIndex !== this.currentGeneIndex) {
+        this.currentGeneIndex = geneIndex;
+        this.canTriggerJump = true;
+      }
+
+      const geneValue = this.genome[geneIndex];
+      return {
+        jump: geneValue > settings.jumpThreshold,
+        release: geneValue < settings.jumpThreshold * 0.6,
+        power: mapValue(geneValue, settings.jumpThreshold, 1, 0, 1),
+        stride: (geneValue - 0.5) * 0.6
+      };
+    }
+
+    /**
+     * neural 型の判断：センサー値をネットワークに通し、出力をジャンプ・強さ・歩幅として使う。
+     * ジャンプ出力が 0.5 を下回るまで次のジャンプを許可しないのは timeline 型と同じ考え方。
+     */
+    decideByNetwork(obstacles, settings) {
+      this.sensors = this.sense(obstacles, settings);
+      const [jump, power, stride] = runNetwork(this.network, this.sensors);
+      return {
+        jump: jump > 0.5,
+        release: jump <= 0.5,
+        power,
+        stride: (stride - 0.5) * 0.6
+      };
+    }
+
+    /**
+     * センサー入力（NEURAL_INPUTS の順）を 0〜1 前後に正規化して返す。
+     * 障害物は x 順に並んでいるため、右端がまだ後ろにない最初の障害物を「次の障害物」とする。
+     * 連続したハードルを 1 回で越えるか刻むかを判断できるよう、その次の障害物も見る。
+     */
+    sense(obstacles, settings) {
+      const nextIndex = obstacles.findIndex(obstacle => obstacle.x + obstacle.width >= this.x - this.radius);
+      const next = nextIndex >= 0 ? obstacles[nextIndex] : null;
+      const afterNext = nextIndex >= 0 ? obstacles[nextIndex + 1] : null;
+      const maxHeight = settings.runnerRadius * 2 * settings.maxHurdleHeightMultiplier;
+      return [
+        next ? clamp((next.x - this.x) / settings.sensorRange, 0, 1) : 1,
+        next ? getObstacleHeight(next, this.elapsedFrames) / maxHeight : 0,
+        next ? next.width / 30 : 0,
+        afterNext ? clamp((afterNext.x - this.x) / settings.sensorRange, 0, 1) : 1,
+        afterNext ? getObstacleHeight(afterNext, this.elapsedFrames) / maxHeight : 0,
+        this.vy / settings.jumpVelocityMax,
+        this.isOnGround() ? 1 : 0,
+        (this.y - this.radius) / maxHeight,
+        next ? OBSTACLE_TYPES[next.type || 'hurdle'].sensor : 0
+      ];
+    }
+
+    /**
+     * 地面に接地しているかを判定。
+     */
+    isOnGround() {
+      return Math.abs(this.y - this.radius) < 0.01;
+    }
+
+    /**
+     * 障害物との衝突判定。最初に当たった障害物と面を記録する。穴への落下は update() の接地判定で扱う。
+     */
+    collidesWith(obstacles) {
+      for (const obstacle of obstacles) {
+        const side = this.touchObstacle(obstacle);
+        if (side) {
+          this.markHit(obstacle, side);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * 円と矩形の距離チェックで 1 つの障害物に触れているかを調べ、触れた面を返す（触れていなければ null）。
+     * ハードルは地面（y = 0）から高さ分だけ立つ矩形（動くハードルは今の高さ）、頭上のバーは下端より上がすべて塞がった矩形。
+     */
+    touchObstacle(obstacle) {
+      if (obstacle.type === 'pit') return null;
+      const isBar = obstacle.type === 'bar';
+      const top = isBar ? obstacle.height : getObstacleHeight(obstacle, this.elapsedFrames);
+
+      // 浮動小数を扱うため矩形と円の最短距離で判定する。
+      const closestX = clamp(this.x, obstacle.x, obstacle.x + obstacle.width);
+      const closestY = isBar ? Math.max(this.y, top) : clamp(this.y, 0, top);
+      const dx = this.x - closestX;
+      const dy = this.y - closestY;
+      if (dx * dx + dy * dy > this.radius * this.radius) return null;
+      if (isBar) {
+        // 下端より下で触れていればジャンプが高すぎて下面にぶつかった、それ以外は側面への激突。
+        return this.y < top ? 'bottom' : 'front';
+      }
+      // 上端より下で触れていれば側面への激突、上端以上なら着地や踏み切りでの接触とみなす。
+      return this.y < top ? 'front' : 'top';
+    }
+
+    /**
+     * 中心の真下にある穴。地面の高さより下がったときに、支えがあるかを調べるのに使う。
+     */
+    findPitBelow(obstacles) {
+      return obstacles.find(obstacle => obstacle.type === 'pit' && this.x > obstacle.x && this.x < obstacle.x + obstacle.width) || null;
+    }
+
+    /**
+     * 衝突した障害物と面を記録する。
+     */
+    markHit(obstacle, side) {
+      obstacle.hit = true;
+      this.hitObstacleId = obstacle.id;
+      this.hitSide = side;
+    }
+
+    /**
+     * 子個体を生成する際に利用するコピー関数。
+     */
+    clone() {
+      return new Individual(this.genome, this.settings, this.mutationStrength);
+    }
+  }
+
+  /**
+   * 遺伝子を持つ個体（source）をコース course で最後まで走らせ、走り終えた個体を返す。
+   * 描画中のコースとは別の訓練コースや、汎化テスト用コースでの評価に使う。
+   */
+  function simulateRun(source, course, settings) {
+    const runner = new Individual(source.genome, settings, source.mutationStrength);
+    while (!runner.finished) {
+      runner.update(course, settings);
+    }
+    return runner;
+  }
+
+  /**
+   * 個体群を管理し、評価→選択→交叉→突然変異の流れを担う。
+   */
+  class Population {
+    constructor(settings, random, name) {
+      this.settings = settings;
+      this.rng = random;
+      this.name = name || ''; // 島モデルでの島の名前。個体の名前の先頭に付ける
+      this.individuals = [];
+      this.generation = 1;
+      this.stats = {
+        averageDistance: 0,
+        bestDistance: 0,
+        dropouts: 0
+      };
+      this.bestIndividual = null;
+      this.paretoFront = [];
+      this.overallBest = {
+        distance: 0,
+        generation: 1
+      };
+      this.mutationRate = settings.mutationRate; // 実際に使っている突然変異率（適応モードでは世代ごとに変化）
+      this.previousBestDistance = 0;
+      this.createInitialPopulation();
+    }
+
+    createInitialPopulation() {
+      this.individuals = [];
+      for (let i = 0; i < this.settings.populationSize; i++) {
+        this.individuals.push(new Individual(this.randomGenome(), this.settings));
+      }
+      this.generation = 1;
+      this.labelIndividuals();
+      this.bestIndividual = null;
+      this.paretoFront = [];
+      this.stats = { averageDistance: 0, bestDistance: 0, dropouts: 0 };
+      this.overallBest = { distance: 0, generation: 1 };
+      this.mutationRate = this.settings.mutationRate;
+      this.previousBestDistance = 0;
+    }
+
+    /**
+     * 保存しておいた遺伝子群から個体群を復元する。統計値は次の更新で再計算される。
+     */
+    restore(genomes, generation, overallBest, mutation) {
+      const strengths = (mutation && mutation.strengths) || [];
+      this.individuals = genomes.map((genome, index) => new Individual(genome, this.settings, strengths[index]));
+      this.individuals.forEach(individual => {
+        individual.origin = 'restored';
+      });
+      this.generation = generation;
+      this.labelIndividuals();
+      this.bestIndividual = null;
+      this.paretoFront = [];
+      this.stats = { averageDistance: 0, bestDistance: 0, dropouts: 0 };
+      this.overallBest = { ...overallBest };
+      this.mutationRate = mutation ? mutation.rate : this.settings.mutationRate;
+      this.previousBestDistance = mutation ? mutation.previousBestDistance : 0;
+    }
+
+    /**
+     * 現在の世代の個体に「島名・G世代-番号」の形の名前を付ける。
+     */
+    labelIndividuals() {
+      const prefix = this.name ? `${this.name}・` : '';
+      this.individuals.forEach((individual, index) => {
+        individual.id = `${prefix}G${this.generation}-${index + 1}`;
+      });
+    }
+
+    /**
+     * 初期遺伝子は 0〜1 の一様乱数で生成する。遺伝子数は遺伝子型によって変わる。
+     */
+    randomGenome() {
+      const genome = [];
+      const length = getGenomeLength(this.settings);
+      for (let i = 0; i < length; i++) {
+        genome.push(this.rng.next());
+      }
+      return genome;
+    }
+
+    /**
+     * 全個体を 1 フレーム分更新する。全員が走り終えたら true を返す。
+     */
+    update(obstacles) {
+      let activeCount = 0;
+      for (const individual of this.individuals) {
+        if (!individual.finished) {
+          individual.update(obstacles, this.settings);
+        }
+        if (!individual.finished) {
+          activeCount += 1;
+        }
+      }
+      this.updateStats();
+      return activeCount === 0;
+    }
+
+    /**
+     * 世代ごとの統計値を算出する。
+     */
+    updateStats() {
+      let sum = 0;
+      let best = 0;
+      let bestIndividual = null;
+      let dropouts = 0;
+      let completed = 0;
+      for (const individual of this.individuals) {
+        sum += individual.distance;
+        if (individual.distance > best) {
+          best = individual.distance;
+          bestIndividual = individual;
+        }
+        if (individual.crashed) {
+          dropouts += 1;
+        }
+        if (individual.success) {
+          completed += 1;
+        }
+      }
+      this.stats.averageDistance = this.individuals.length ? sum / this.individuals.length : 0;
+      this.stats.bestDistance = best;
+      this.stats.dropouts = dropouts;
+      this.stats.completedCount = completed;
+      this.bestIndividual = bestIndividual;
+
+      if (bestIndividual && bestIndividual.distance > (this.overallBest?.distance || 0)) {
+        this.overallBest = {
+          distance: bestIndividual.distance,
+          generation: this.generation,
+          genome: bestIndividual.genome.slice()
+        };
+      }
+    }
+
+    /**
+     * 適応度を決める。表示中のコースでの走りに、追加の訓練コース extraCourses での走りを加え、
+     * コースごとの適応度（computeFitness）と到達距離をそれぞれ集計する。
+     */
+    evaluateFitness(extraCourses) {
+      const method = this.settings.fitnessAggregate;
+      let distanceSum = 0;
+      let bestDistance = 0;
+      let fitnessSum = 0;
+      let bestFitness = -Infinity;
+      for (const individual of this.individuals) {
+        const runs = [individual];
+        extraCourses.forEach(course => {
+          runs.push(simulateRun(individual, course, this.settings));
+        });
+        individual.objectives = measureObjectives(runs, this.settings);
+        individual.courseDistances = runs.map(run => run.distance);
+        individual.aggregateDistance = aggregateScores(individual.courseDistances, method);
+        individual.fitness = aggregateScores(runs.map(run => computeFitness(run, this.settings)), method);
+        distanceSum += individual.aggregateDistance;
+        bestDistance = Math.max(bestDistance, individual.aggregateDistance);
+        fitnessSum += individual.fitness;
+        bestFitness = Math.max(bestFitness, individual.fitness);
+      }
+      const count = this.individuals.length;
+      this.stats.bestAggregateDistance = bestDistance;
+      this.stats.averageAggregateDistance = count ? distanceSum / count : 0;
+      this.stats.bestFitness = count ? bestFitness : 0;
+      this.stats.averageFitness = count ? fitnessSum / count : 0;
+      this.rankPareto();
+      this.measureNiches();
+    }
+
+    /**
+     * 多様性と種の数を求める。種の代表が各種の最良個体になるよう、適応度の高い順に振り分ける。
+     */
+    measureNiches() {
+      const ranked = [...this.individuals].sort((a, b) => b.fitness - a.fitness);
+      const speciesIds = classifySpecies(ranked, this.settings.nicheRadius);
+      ranked.forEach((individual, index) => {
+        individual.speciesId = speciesIds[index];
+      });
+      this.stats.speciesCount = new Set(speciesIds).size;
+      this.stats.diversity = measureDiversity(this.individuals);
+    }
+
+    /**
+     * ニッチ保護のために補正した適応度で、選択用の親候補を作る。
+     *   - sharing   : 距離 nicheRadius 以内の個体との共有度（近いほど 1 に近い）の合計で割る
+     *   - speciation: 同じ種の個体数で割る
+     * 補正前に最小値が 0 になるようずらすので、負の適応度でも混み合ったニッチほど不利になる。
+     */
+    createNichePool(matingPool) {
+      const mode = this.settings.nicheMode;
+      const radius = this.settings.nicheRadius;
+      const lowest = Math.min(0, ...matingPool.map(ind => ind.fitness));
+      return matingPool
+        .map(individual => {
+          let nicheCount = 0;
+          matingPool.forEach(other => {
+            if (mode === 'speciation') {
+              nicheCount += other.speciesId === individual.speciesId ? 1 : 0;
+            } else {
+              nicheCount += Math.max(0, 1 - genomeDistance(individual.genome, other.genome) / radius);
+            }
+          });
+          return {
+            ...describeParent(individual),
+            genome: individual.genome,
+            mutationStrength: individual.mutationStrength,
+            fitness: (individual.fitness - lowest) / Math.max(1, nicheCount)
+          };
+        })
+        .sort((a, b) => b.fitness - a.fitness);
+    }
+
+    /**
+     * courses（表示中のコースと追加の訓練コース）を走らせたときの適応度。evaluateFitness() と同じ集計を行う。
+     */
+    scoreOffline(individual, courses) {
+      const runs = courses.map(course => simulateRun(individual, course, this.settings));
+      return aggregateScores(runs.map(run => computeFitness(run, this.settings)), this.settings.fitnessAggregate);
+    }
+
+    /**
+     * 決定的クラウディング：無作為に組んだ親 2 体から子を 2 体作り、遺伝子の近い親子どうしを競わせて勝った方を残す。
+     * 子は似た親としか入れ替わらないため、異なるニッチの個体が押し出されにくい。
+     */
+    breedByCrowding(courses) {
+      const parents = shuffleInPlace([...this.individuals], this.rng);
+      const survivors = [];
+      for (let i = 0; i + 1 < parents.length; i += 2) {
+        const parentA = parents[i];
+        const parentB = parents[i + 1];
+        const children = [
+          this.crossover(parentA.genome, parentB.genome),
+          this.crossover(parentB.genome, parentA.genome)
+        ].map(genome => {
+          const strength = this.inheritMutationStrength(parentA, parentB);
+          this.mutate(genome, strength);
+          const child = new Individual(genome, this.settings, strength);
+          child.origin = 'offspring';
+          child.parents = [describeParent(parentA), describeParent(parentB)];
+          child.fitness = this.scoreOffline(child, courses);
+          return child;
+        });
+        const straight = genomeDistance(parentA.genome, children[0].genome) + genomeDistance(parentB.genome, children[1].genome);
+        const swapped = genomeDistance(parentA.genome, children[1].genome) + genomeDistance(parentB.genome, children[0].genome);
+        const matches = straight <= swapped
+          ? [[parentA, children[0]], [parentB, children[1]]]
+          : [[parentA, children[1]], [parentB, children[0]]];
+        matches.forEach(([parent, child]) => {
+          survivors.push(child.fitness > parent.fitness ? child : this.carryOver(parent, 'survivor'));
+        });
+      }
+      if (parents.length % 2) {
+        survivors.push(this.carryOver(parents[parents.length - 1], 'survivor'));
+      }
+      return survivors;
+    }
+
+    /**
+     * 個体を次世代へそのまま引き継ぐための複製。由来 origin と元の個体を親として記録する。
+     */
+    carryOver(individual, origin) {
+      const copy = individual.clone();
+      copy.origin = origin;
+      copy.parents = [describeParent(individual)];
+      return copy;
+    }
+
+    /**
+     * 非優越ソートと混雑距離の計算を行い、最前列のフロントを paretoFront に残す。
+     */
+    rankPareto() {
+      const fronts = nonDominatedSort(this.individuals);
+      fronts.forEach(assignCrowdingDistance);
+      this.paretoFront = fronts[0] || [];
+    }
+
+    /**
+     * 適応度が最も高い個体を返す。
+     */
+    getFittest() {
+      let fittest = null;
+      for (const individual of this.individuals) {
+        if (!fittest || individual.fitness > fittest.fitness) {
+          fittest = individual;
+        }
+      }
+      return fittest;
+    }
+
+    /**
+     * 選択・交叉・突然変異を実行して次世代を生み出す。評価（evaluateFitness）は呼び出し側で済ませておく。
+     */
+    evaluateAndBreed(courses) {
+      if (this.settings.replacementMode === 'crowding') {
+        this.individuals = this.breedByCrowding(courses);
+        this.generation += 1;
+        this.labelIndividuals();
+        return;
+      }
+
+      // 多目的モードでは重み付き適応度の代わりに、フロント順・混雑距離順に並べて選択する。
+      const multiObjective = this.settings.evolutionMode === 'nsga2';
+      const matingPool = multiObjective
+        ? [...this.individuals].sort(compareCrowded)
+        : [...this.individuals].sort((a, b) => b.fitness - a.fitness);
+      const eliteCount = Math.max(2, Math.round(this.settings.populationSize * 0.1));
+      const elites = matingPool.slice(0, eliteCount).map(ind => this.carryOver(ind, 'elite'));
+      const nextGeneration = [];
+
+      // エリート保存戦略：優秀な個体をそのまま次世代へ送る。
+      elites.forEach(elite => {
+        nextGeneration.push(elite);
+      });
+
+      // 選択戦略で残りの子の分の親をまとめて選び、2 体ずつ組にして交配する。
+      const childCount = Math.max(0, this.settings.populationSize - nextGeneration.length);
+      const select = multiObjective
+        ? crowdedTournament
+        : SELECTION_STRATEGIES[this.settings.selectionMethod] || SELECTION_STRATEGIES.roulette;
+      // ニッチ保護は単目的モードでの親選択にだけ効かせる（NSGA-II は混雑距離で多様性を保つ）。
+      const parentPool = !multiObjective && this.settings.nicheMode !== 'none'
+        ? this.createNichePool(matingPool)
+        : matingPool;
+      const parents = select(parentPool, childCount * 2, this.settings, this.rng);
+
+      for (let i = 0; i < childCount; i++) {
+        const parentA = parents[i * 2];
+        const parentB = parents[i * 2 + 1];
+        const childGenome = this.crossover(parentA.genome, parentB.genome);
+        const strength = this.inheritMutationStrength(parentA, parentB);
+        this.mutate(childGenome, strength);
+        const child = new Individual(childGenome, this.settings, strength);
+        child.origin = 'offspring';
+        child.parents = [describeParent(parentA), describeParent(parentB)];
+        nextGeneration.push(child);
+      }
+
+      this.individuals = nextGeneration;
+      this.generation += 1;
+      this.labelIndividuals();
+    }
+
+    /**
+     * 交叉：crossoverRate の確率で選択中の交叉演算子を適用し、それ以外は親 A をそのまま複製する。
+     */
+    crossover(genomeA, genomeB) {
+      if (this.rng.next() >= this.settings.crossoverRate) {
+        return genomeA.slice();
+      }
+      const operator = CROSSOVER_OPERATORS[this.settings.crossoverMethod] || CROSSOVER_OPERATORS.single;
+      return operator(genomeA, genomeB, this.settings, this.rng);
+    }
+
+    /**
+     * 突然変異：確率的に遺伝子値へノイズを加える。
+     * ノイズは一様（±0.3）か正規分布で、自己適応モードでは個体の変異強度 strength を標準偏差に使う。
+     */
+    mutate(genome, strength) {
+      const schedule = this.settings.mutationSchedule;
+      const gaussian = this.settings.mutationType === 'gaussian' || schedule === 'self-adaptive';
+      const sigma = schedule === 'self-adaptive' ? strength : this.settings.mutationSigma;
+      for (let i = 0; i < genome.length; i++) {
+        if (this.rng.next() < this.mutationRate) {
+          const delta = gaussian ? this.rng.gaussian() * sigma : (this.rng.next() - 0.5) * 0.6;
+          genome[i] = clamp(genome[i] + delta, 0, 1);
+        }
+      }
+    }
+
+    /**
+     * 自己適応モードでの子の変異強度：両親の幾何平均に対数正規の揺らぎを掛ける。
+     * 良い子を生んだ強度ほど生き残るため、強度そのものが進化する。
+     */
+    inheritMutationStrength(parentA, parentB) {
+      if (this.settings.mutationSchedule !== 'self-adaptive') {
+        return this.settings.mutationSigma;
+      }
+      const tau = 1 / Math.sqrt(parentA.genome.length);
+      const base = Math.sqrt(parentA.mutationStrength * parentB.mutationStrength);
+      return clamp(base * Math.exp(tau * this.rng.gaussian()), 0.005, 0.5);
+    }
+
+    /**
+     * 世代の評価後に、次世代の生成に使う突然変異率を決める。
+     * 適応モードでは最長距離が伸びなければ率を上げて探索を広げ、伸びれば下げて探索を絞る。
+     */
+    adaptMutationRate() {
+      const settings = this.settings;
+      if (settings.mutationSchedule !== 'adaptive') {
+        this.mutationRate = settings.mutationRate;
+      } else if (this.stats.bestDistance > this.previousBestDistance) {
+        this.mutationRate = Math.max(settings.adaptiveMutationMin, this.mutationRate * settings.adaptiveMutationDown);
+      } else {
+        this.mutationRate = Math.min(settings.adaptiveMutationMax, this.mutationRate * settings.adaptiveMutationUp);
+      }
+      this.previousBestDistance = this.stats.bestDistance;
+    }
+
+    /**
+     * 個体群の平均変異強度。自己適応モード以外では設定値の σ（ガウスノイズ時）か null を返す。
+     */
+    getMeanMutationStrength() {
+      if (this.settings.mutationSchedule === 'self-adaptive') {
+        const sum = this.individuals.reduce((acc, ind) => acc + ind.mutationStrength, 0);
+        return this.individuals.length ? sum / this.individuals.length : 0;
+      }
+      return this.settings.mutationType === 'gaussian' ? this.settings.mutationSigma : null;
+    }
+
+    /**
+     * 移住させる上位 count 個体の遺伝子と変異強度。多目的モードではフロント順・混雑距離順で選ぶ。
+     */
+    getEmigrants(count) {
+      const ranked = this.settings.evolutionMode === 'nsga2'
+        ? [...this.individuals].sort(compareCrowded)
+        : [...this.individuals].sort((a, b) => b.fitness - a.fitness);
+      return ranked.slice(0, count).map(individual => ({
+        ...describeParent(individual),
+        genome: individual.genome.slice(),
+        mutationStrength: individual.mutationStrength
+      }));
+    }
+
+    /**
+     * 移住してきた個体で、次世代の末尾（エリートではない子）を置き換える。置き換えるのは最大で半数まで。
+     */
+    acceptMigrants(migrants) {
+      const count = Math.min(migrants.length, Math.floor(this.individuals.length / 2));
+      for (let i = 0; i < count; i++) {
+        const migrant = migrants[i];
+        const individual = new Individual(migrant.genome, this.settings, migrant.mutationStrength);
+        individual.origin = 'migrant';
+        individual.parents = [describeParent(migrant)];
+        this.individuals[this.individuals.length - 1 - i] = individual;
+      }
+      this.labelIndividuals();
+    }
+
+    /**
+     * 表示用に先頭の個体を取得。
+     */
+    getLeader() {
+      let leader = null;
+      let best = -Infinity;
+      for (const individual of this.individuals) {
+        if (individual.x > best) {
+          best = individual.x;
+          leader = individual;
+        }
+      }
+      return leader;
+    }
+  }
+
+  /**
+   * 1 回のシミュレーション実行（乱数・レベル・コース・個体群・世代履歴）をまとめて管理する。
+   * 世代の区切りでは結果を戻り値として返し、同時に次のイベントを発行する。
+   *   - 'generation'  : 世代の評価結果（history に積まれるレコード）
+   *   - 'levelchange' : レベルが変わり、コースが作り直されたとき
+   *   - 'complete'    : 終了条件（最大世代数・停滞・目標・実行時間など）を満たして進化を終えたとき。reason に STOP_REASONS のキー
+   */
+  class Simulation {
+    constructor(settings) {
+      this.settings = settings;
+      this.listeners = {};
+      this.reset();
+    }
+
+    /**
+     * スナップショットから新しいシミュレーションを作る。設定もスナップショット側の複製を使う。
+     */
+    static fromSnapshot(snapshot) {
+      const simulation = new Simulation(Object.assign({}, snapshot.settings));
+      simulation.restoreSnapshot(snapshot);
+      return simulation;
+    }
+
+    /**
+     * イベントリスナーを登録する。
+     */
+    on(type, handler) {
+      (this.listeners[type] = this.listeners[type] || []).push(handler);
+      return this;
+    }
+
+    /**
+     * 登録済みのリスナーへイベントを通知する。
+     */
+    emit(type, payload) {
+      (this.listeners[type] || []).forEach(handler => handler(payload, this));
+    }
+
+    /**
+     * シードからやり直し、レベル 1 の新しい個体群を用意する。
+     */
+    reset() {
+      this.seed = this.settings.seedText
+        ? normalizeSeed(this.settings.seedText)
+        : Math.floor(Math.random() * 4294967296);
+      this.rng = new RandomGenerator(this.seed);
+      this.level = 1;
+      this.levelBestDistance = 0;
+      this.promotionStreak = 0; // 昇格の条件を続けて満たしている世代数
+      this.demotionStreak = 0; // 完走者が続けて出ていない世代数
+      this.stagnationBest = 0; // このレベルでの世代最長到達距離の最高値
+      this.stagnantGenerations = 0; // stagnationBest が更新されていない世代数
+      this.frameCount = 0; // 進めたフレーム数の合計
+      this.activeMs = 0; // 実行時間（一時停止中を除く）
+      this.lastStepAt = 0;
+      this.stopReason = null; // 進化を終えた理由（STOP_REASONS のキー）
+      this.history = [];
+      this.hallOfFame = []; // 世代ごとの最良個体の遺伝子と、そのとき走ったコース
+      this.hallOfFameCourse = null;
+      this.hallOfFameSettings = null; // 直近の記録に控えた REPLAY_SETTING_KEYS の値（変わるまで記録どうしで共有する）
+      this.courseId = 0; // コースを作り直すたびに増える番号。殿堂入りの記録が同じコースを走ったかの判定に使う
+      this.completed = false;
+      this.applyDifficultySettings();
+      this.resetObstacles();
+      this.resetTestCourse();
+      this.islands = [];
+      const count = this.getIslandCount();
+      for (let i = 0; i < count; i++) {
+        this.islands.push(new Population(this.createIslandSettings(i, count), this.rng, this.getIslandName(i, count)));
+      }
+    }
+
+    /**
+     * 島（個体群）の数。比較モードでは設定 A・B の 2 つ。
+     */
+    getIslandCount() {
+      if (this.settings.comparisonMode) return COMPARISON_LANES.length;
+      return clamp(Math.round(this.settings.islandCount) || 1, 1, MAX_ISLANDS);
+    }
+
+    /**
+     * 島 index の名前。個体の名前の先頭に付く。
+     */
+    getIslandName(index, count) {
+      if (this.settings.comparisonMode) return `設定${COMPARISON_LANES[index]}`;
+      return count > 1 ? `島${index + 1}` : '';
+    }
+
+    /**
+     * 島 index の設定。共通設定をプロトタイプとして引き継ぐので、共通設定の変更はそのまま島にも反映される。
+     * 島が 2 つ以上なら総個体数を島の数で分け、islandOverrides に値のある項目だけを島の値で上書きする。
+     * 比較モードでは個体数を分けず、comparisonOverrides で個体数も含めて上書きする。
+     */
+    createIslandSettings(index, count) {
+      const settings = Object.create(this.settings);
+      if (count > 1 && !this.settings.comparisonMode) {
+        const base = this.settings;
+        Object.defineProperty(settings, 'populationSize', {
+          get: () => Math.max(4, Math.round(base.populationSize / count))
+        });
+      }
+      this.applyIslandOverrides(settings, index);
+      return settings;
+    }
+
+    /**
+     * islandOverrides（比較モードでは comparisonOverrides）の内容を島の設定へ書き込む。空欄の項目は共通設定の値に戻す。
+     * 島が 1 つのときは島ごとの設定を使わず、すべて共通設定の値にする。
+     */
+    applyIslandOverrides(settings, index) {
+      const comparison = this.settings.comparisonMode;
+      const overrides = comparison
+        ? this.settings.comparisonOverrides
+        : (this.getIslandCount() > 1 ? this.settings.islandOverrides : []);
+      const override = (overrides || [])[index] || {};
+      (comparison ? COMPARISON_OVERRIDE_KEYS : ISLAND_OVERRIDE_KEYS).forEach(key => {
+        if (override[key] != null && override[key] !== '') {
+          settings[key] = override[key];
+        } else {
+          delete settings[key];
+        }
+      });
+    }
+
+    /**
+     * 島ごとの上書き設定を反映し直し、各島の突然変異率も設定値へ戻す。実行中に設定を変えたときに使う。
+     */
+    refreshIslandSettings() {
+      this.islands.forEach((island, index) => {
+        this.applyIslandOverrides(island.settings, index);
+        island.mutationRate = island.settings.mutationRate;
+      });
+    }
+
+    /**
+     * 現在の世代番号。すべての島で共通。
+     */
+    get generation() {
+      return this.islands[0].generation;
+    }
+
+    /**
+     * すべての島の個体を 1 つの配列にまとめる。
+     */
+    getAllIndividuals() {
+      return this.islands.flatMap(island => island.individuals);
+    }
+
+    /**
+     * すべての島の中で先頭を走る個体。
+     */
+    getLeader() {
+      let leader = null;
+      this.islands.forEach(island => {
+        const candidate = island.getLeader();
+        if (candidate && (!leader || candidate.x > leader.x)) {
+          leader = candidate;
+        }
+      });
+      return leader;
+    }
+
+    /**
+     * すべての島をまとめた統計値。島が 1 つならその個体群の統計値そのもの。
+     */
+    getCombinedStats() {
+      if (this.islands.length === 1) return this.islands[0].stats;
+      const total = this.islands.reduce((acc, island) => acc + island.individuals.length, 0);
+      const meanOf = key => this.islands.reduce((acc, island) => acc + island.stats[key] * island.individuals.length, 0) / total;
+      const maxOf = key => Math.max(...this.islands.map(island => island.stats[key]));
+      const sumOf = key => this.islands.reduce((acc, island) => acc + (island.stats[key] || 0), 0);
+      return {
+        averageDistance: meanOf('averageDistance'),
+        bestDistance: maxOf('bestDistance'),
+        dropouts: sumOf('dropouts'),
+        completedCount: sumOf('completedCount'),
+        bestFitness: maxOf('bestFitness'),
+        averageFitness: meanOf('averageFitness'),
+        bestAggregateDistance: maxOf('bestAggregateDistance'),
+        averageAggregateDistance: meanOf('averageAggregateDistance')
+      };
+    }
+
+    /**
+     * 実行状態を JSON に変換できる形で書き出す。Web Worker との受け渡しやファイル保存に使う。
+     * 世代の途中で書き出した場合、その世代は復元先で最初から走り直す（乱数は世代の途中では消費されない）。
+     */
+    toSnapshot() {
+      return {
+        settings: { ...this.settings },
+        seed: this.seed,
+        rngState: this.rng.state,
+        level: this.level,
+        levelBestDistance: this.levelBestDistance,
+        promotionStreak: this.promotionStreak,
+        demotionStreak: this.demotionStreak,
+        stagnationBest: this.stagnationBest,
+        stagnantGenerations: this.stagnantGenerations,
+        frameCount: this.frameCount,
+        activeMs: this.activeMs,
+        stopReason: this.stopReason,
+        completed: this.completed,
+        courseId: this.courseId,
+        obstacles: this.obstacles.map(obstacle => ({ ...obstacle, hit: false })),
+        testCourse: this.testCourse.map(obstacle => ({ ...obstacle, hit: false })),
+        generation: this.generation,
+        islands: this.islands.map(island => ({
+          overallBest: { ...island.overallBest },
+          genomes: island.individuals.map(individual => individual.genome.slice()),
+          mutation: {
+            rate: island.mutationRate,
+            previousBestDistance: island.previousBestDistance,
+            strengths: island.individuals.map(individual => individual.mutationStrength)
+          }
+        })),
+        history: this.history.map(record => ({ ...record })),
+        hallOfFame: serializeHallOfFame(this.hallOfFame)
+      };
+    }
+
+    /**
+     * toSnapshot() の内容で状態を置き換える。設定値は現在の設定オブジェクトへ書き戻す。
+     * keepSettings が true なら設定は書き戻さず、個体群・履歴などの状態だけを置き換える（高速進化から戻るときなど）。
+     */
+    restoreSnapshot(snapshot, keepSettings) {
+      if (!keepSettings) {
+        Object.assign(this.settings, snapshot.settings);
+        // 比較モードを持たない古いスナップショットは島モデルとして読み込む。
+        this.settings.comparisonMode = Boolean(snapshot.settings.comparisonMode);
+      }
+      this.seed = snapshot.seed;
+      this.level = snapshot.level;
+      this.levelBestDistance = snapshot.levelBestDistance || 0;
+      this.promotionStreak = snapshot.promotionStreak || 0;
+      this.demotionStreak = snapshot.demotionStreak || 0;
+      this.stagnationBest = snapshot.stagnationBest || 0;
+      this.stagnantGenerations = snapshot.stagnantGenerations || 0;
+      this.frameCount = snapshot.frameCount || 0;
+      this.activeMs = snapshot.activeMs || 0;
+      this.lastStepAt = 0;
+      this.stopReason = snapshot.stopReason || (snapshot.completed ? 'maxGenerations' : null);
+      this.completed = Boolean(snapshot.completed);
+      this.applyDifficultySettings();
+      this.obstacles = snapshot.obstacles.map(obstacle => ({ ...obstacle, hit: false }));
+      this.courseId = snapshot.courseId || 0;
+      this.testCourse = (snapshot.testCourse || snapshot.obstacles).map(obstacle => ({ ...obstacle, hit: false }));
+      this.history = snapshot.history.map(record => ({ ...record }));
+      this.hallOfFame = deserializeHallOfFame(snapshot.hallOfFame);
+      this.hallOfFameCourse = null;
+      this.hallOfFameSettings = null;
+      this.rng = new RandomGenerator(0);
+      const islands = getSnapshotIslands(snapshot);
+      if (!this.settings.comparisonMode) {
+        this.settings.islandCount = islands.length;
+      }
+      this.islands = islands.map((saved, index) => {
+        const island = new Population(
+          this.createIslandSettings(index, islands.length),
+          this.rng,
+          this.getIslandName(index, islands.length)
+        );
+        island.restore(
+          saved.genomes,
+          snapshot.generation,
+          saved.overallBest || { distance: 0, generation: 1 },
+          saved.mutation
+        );
+        return island;
+      });
+      // 個体群の生成で消費した分を捨て、書き出し時点の乱数状態から続ける。
+      this.rng.state = snapshot.rngState >>> 0;
+    }
+
+    /**
+     * レベルに応じた難易度設定を反映する。
+     */
+    applyDifficultySettings() {
+      const difficulty = getLevelDifficulty(this.level, this.settings);
+      this.settings.hurdleMinGapFactor = difficulty.gapFactor;
+    }
+
+    /**
+     * 現在の設定に基づきハードルを生成し直す。
+     */
+    resetObstacles() {
+      this.applyDifficultySettings();
+      this.courseId += 1;
+      if (this.settings.hurdleMode === 'manual') {
+        this.obstacles = buildManualCourse(this.settings.manualHurdlesText, this.settings, this.level, this.rng).obstacles;
+      } else {
+        this.obstacles = generateRandomHurdles(this.settings.courseLength, this.settings, this.level, this.rng);
+      }
+      this.clearObstacleHits();
+    }
+
+    /**
+     * 汎化テスト用のコースを作り直す。訓練には一切使わず、最良個体が未知のコースでどこまで走れるかを測る。
+     */
+    resetTestCourse() {
+      this.testCourse = generateRandomHurdles(this.settings.courseLength, this.settings, this.level, this.rng);
+    }
+
+    /**
+     * 表示中のコース以外に使う訓練コース（K - 1 本）を新しく生成する。
+     */
+    generateTrainingCourses() {
+      const courses = [];
+      const count = Math.max(1, Math.round(this.settings.trainingCourses || 1));
+      for (let i = 1; i < count; i++) {
+        courses.push(generateRandomHurdles(this.settings.courseLength, this.settings, this.level, this.rng));
+      }
+      return courses;
+    }
+
+    /**
+     * ハードルの当たり判定フラグをリセットする。
+     */
+    clearObstacleHits() {
+      this.obstacles.forEach(obstacle => {
+        obstacle.hit = false;
+      });
+    }
+
+    /**
+     * カリキュラムの規則で、この世代の結果からレベルを上げるか（1）下げるか（-1）そのままか（0）を決める。
+     * 完走率が promotionRate 以上（0 なら 1 体以上が完走）の世代が promotionStreak 世代続いたら昇格し、
+     * demotionGenerations が 1 以上なら、完走者のいない世代がそれだけ続いたときに 1 つ前のレベルへ戻す。
+     */
+    updateCurriculum(record) {
+      const population = this.getAllIndividuals().length;
+      const rate = population > 0 ? record.completedCount / population : 0;
+      const passed = record.completedCount > 0 && rate >= (this.settings.promotionRate || 0);
+      this.promotionStreak = passed ? this.promotionStreak + 1 : 0;
+      this.demotionStreak = record.completedCount > 0 ? 0 : this.demotionStreak + 1;
+      if (this.promotionStreak >= Math.max(1, Math.round(this.settings.promotionStreak) || 1)) return 1;
+      const limit = Math.round(this.settings.demotionGenerations) || 0;
+      if (limit > 0 && this.level > 1 && this.demotionStreak >= limit) return -1;
+      return 0;
+    }
+
+    /**
+     * レベルを step だけ変え（1 で昇格、-1 で降格）、ハードルを再配置する。
+     */
+    changeLevel(step) {
+      const previousLevel = this.level;
+      this.level = Math.max(1, this.level + step);
+      this.levelBestDistance = 0;
+      this.promotionStreak = 0;
+      this.demotionStreak = 0;
+      this.stagnationBest = 0;
+      this.stagnantGenerations = 0;
+      this.resetObstacles();
+      this.resetTestCourse();
+      this.emit('levelchange', { level: this.level, previousLevel });
+    }
+
+    /**
+     * 1 フレーム分進める。世代が終わったときだけ世代結果を返し、それ以外は null を返す。
+     */
+    step() {
+      if (this.completed && !this.resume()) return null;
+      const now = Date.now();
+      if (this.lastStepAt && now - this.lastStepAt < MAX_ACTIVE_STEP_GAP_MS) {
+        this.activeMs += now - this.lastStepAt;
+      }
+      this.lastStepAt = now;
+      this.frameCount += 1;
+      let generationDone = true;
+      this.islands.forEach(island => {
+        if (!island.update(this.obstacles)) {
+          generationDone = false;
+        }
+        this.levelBestDistance = Math.max(this.levelBestDistance, island.stats.bestDistance);
+      });
+      return generationDone ? this.finishGeneration() : null;
+    }
+
+    /**
+     * 1 世代を最後まで走らせ、その世代結果を返す。描画を伴わない一括実行用。
+     */
+    runGeneration() {
+      if (this.completed && !this.canResume()) return null;
+      let result = null;
+      while (!result) {
+        result = this.step();
+      }
+      return result;
+    }
+
+    /**
+     * 同じレベルでの世代最長到達距離が伸びたかを数える。レベルが変わると changeLevel() で数え直す。
+     */
+    updateStagnation(record) {
+      if (record.bestDistance > this.stagnationBest) {
+        this.stagnationBest = record.bestDistance;
+        this.stagnantGenerations = 0;
+      } else {
+        this.stagnantGenerations += 1;
+      }
+    }
+
+    /**
+     * 世代 record を終えた時点で満たしている終了条件（STOP_REASONS のキー）を返す。どれも満たさなければ null。
+     */
+    checkStopConditions(record) {
+      const settings = this.settings;
+      const population = this.getAllIndividuals().length;
+      if (settings.targetLevel > 1 && this.level >= settings.targetLevel) return 'targetLevel';
+      if (settings.targetCompletionRate > 0 && population > 0 && record.completedCount / population >= settings.targetCompletionRate) {
+        return 'completionRate';
+      }
+      if (settings.stagnationGenerations > 0 && this.stagnantGenerations >= settings.stagnationGenerations) return 'stagnation';
+      if (settings.frameBudget > 0 && this.frameCount >= settings.frameBudget) return 'frameBudget';
+      if (settings.timeBudgetSeconds > 0 && this.activeMs >= settings.timeBudgetSeconds * 1000) return 'timeBudget';
+      if (record.generation >= settings.maxGenerations) return 'maxGenerations';
+      return null;
+    }
+
+    /**
+     * 終えた進化を続けられるか。最後の世代の結果を今の設定の終了条件で調べ直し、どれも満たさなくなっていれば続けられる。
+     */
+    canResume() {
+      const last = this.history[this.history.length - 1];
+      return Boolean(last) && !this.checkStopConditions(last);
+    }
+
+    /**
+     * 終えた進化を、終了条件が緩められていれば（最大世代数の引き上げなど）次世代を生み出して再開する。再開できなければ false。
+     */
+    resume() {
+      if (!this.canResume()) return false;
+      this.completed = false;
+      this.stopReason = null;
+      this.breed();
+      return true;
+    }
+
+    /**
+     * 全個体を走り終えた扱いにして強制的に次世代へ移行する。終えた進化を再開できないときは何もせず null を返す。
+     */
+    forceAdvance() {
+      if (this.completed && !this.resume()) return null;
+      this.getAllIndividuals().forEach(ind => {
+        ind.finished = true;
+      });
+      return this.finishGeneration();
+    }
+
+    /**
+     * 世代を評価してレベル判定・履歴記録を行い、最大世代数に達していなければ次世代を生み出す。
+     */
+    finishGeneration() {
+      const islands = this.islands;
+      const generation = this.generation;
+      // レベルアップでコースが差し替わる前に、この世代の評価に使ったコースを控えておく。
+      const courses = [this.obstacles, ...this.generateTrainingCourses()];
+      let champion = null;
+      islands.forEach(island => {
+        island.updateStats();
+        island.evaluateFitness(courses.slice(1));
+        island.adaptMutationRate();
+        const fittest = island.getFittest();
+        if (fittest && (!champion || fittest.fitness > champion.fitness)) {
+          champion = fittest;
+        }
+      });
+      const stats = this.getCombinedStats();
+      this.levelBestDistance = Math.max(this.levelBestDistance, stats.bestDistance);
+      this.recordHallOfFame(generation);
+      const record = {
+        generation,
+        level: this.level,
+        averageDistance: stats.averageDistance,
+        bestDistance: stats.bestDistance,
+        dropouts: stats.dropouts,
+        completedCount: stats.completedCount || 0,
+        mutationRate: islands.reduce((acc, island) => acc + island.mutationRate, 0) / islands.length,
+        mutationStrength: islands[0].getMeanMutationStrength(),
+        bestFitness: stats.bestFitness,
+        averageFitness: stats.averageFitness,
+        bestAggregateDistance: stats.bestAggregateDistance,
+        averageAggregateDistance: stats.averageAggregateDistance,
+        testDistance: champion ? simulateRun(champion, this.testCourse, this.settings).distance : 0,
+        crashes: countCrashes(this.getAllIndividuals(), this.obstacles),
+        meanGenome: meanGenome(this.getAllIndividuals())
+      };
+      if (islands.length === 1) {
+        record.paretoFront = summarizeFront(islands[0].paretoFront);
+        record.diversity = islands[0].stats.diversity;
+        record.speciesCount = islands[0].stats.speciesCount;
+      } else {
+        const everyone = this.getAllIndividuals();
+        if (this.settings.mutationSchedule === 'self-adaptive') {
+          record.mutationStrength = everyone.reduce((acc, ind) => acc + ind.mutationStrength, 0) / everyone.length;
+        }
+        record.paretoFront = summarizeFront(filterNonDominated(islands.flatMap(island => island.paretoFront)));
+        record.diversity = measureDiversity(everyone);
+        record.speciesCount = countSpecies(everyone, this.settings.nicheRadius);
+        record.islands = islands.map(island => ({
+          bestDistance: island.stats.bestDistance,
+          averageDistance: island.stats.averageDistance,
+          bestFitness: island.stats.bestFitness,
+          mutationRate: island.mutationRate,
+          completedCount: island.stats.completedCount || 0,
+          populationSize: island.individuals.length
+        }));
+        record.migrated = this.isMigrationGeneration(generation);
+      }
+      this.history.push(record);
+
+      // 停滞はこの世代のレベルで数える。レベルが変わったら changeLevel() が新しいレベルの分を数え直す。
+      this.updateStagnation(record);
+      const levelStep = this.updateCurriculum(record);
+      if (levelStep !== 0) {
+        this.changeLevel(levelStep);
+      }
+      record.promotionStreak = this.promotionStreak;
+      record.demotionStreak = this.demotionStreak;
+      this.emit('generation', record);
+
+      const stopReason = this.checkStopConditions(record);
+      if (stopReason) {
+        this.completed = true;
+        this.stopReason = stopReason;
+        this.emit('complete', {
+          level: this.level,
+          generation,
+          bestDistance: Math.max(this.levelBestDistance, stats.bestDistance),
+          reason: stopReason,
+          frameCount: this.frameCount,
+          activeMs: this.activeMs
+        });
+        return record;
+      }
+
+      this.breed(courses);
+      return record;
+    }
+
+    /**
+     * 次世代を生み出し、ハードルの当たり判定をリセットする。courses はこの世代の評価に使ったコースで、
+     * 省略時（完了後の再開など）は表示中のコースを使う。
+     * 複数コース訓練モード（ランダム配置時）では、表示するコースも世代ごとに新しくする。
+     */
+    breed(courses) {
+      const migrants = this.isMigrationGeneration(this.generation)
+        ? this.islands.map(island => island.getEmigrants(Math.round(this.settings.migrationCount)))
+        : null;
+      this.islands.forEach(island => island.evaluateAndBreed(courses || [this.obstacles]));
+      if (migrants) {
+        this.migrate(migrants);
+      }
+      if (this.settings.trainingCourses > 1 && this.settings.hurdleMode !== 'manual') {
+        this.resetObstacles();
+      }
+      this.randomizeMovingPhases();
+      this.clearObstacleHits();
+    }
+
+    /**
+     * 上下に動くハードルの位相を世代ごとに選び直す。決まった時刻にジャンプするだけでは越えられず、
+     * 今の高さを見て判断する必要があるようにするため。コースは新しい配列に差し替えるので、殿堂入りの記録のコースは変わらない。
+     */
+    randomizeMovingPhases() {
+      if (!this.obstacles.some(obstacle => obstacle.type === 'moving')) return;
+      this.obstacles = this.obstacles.map(obstacle => (
+        obstacle.type === 'moving' ? { ...obstacle, phase: this.rng.range(0, Math.PI * 2) } : obstacle
+      ));
+    }
+
+    /**
+     * この世代で最も遠くまで走った個体を、走ったコースと一緒に殿堂入りの記録へ加える。
+     * コースが前の世代と同じなら、記録どうしで同じコースの複製を共有する。
+     */
+    recordHallOfFame(generation) {
+      let best = null;
+      this.islands.forEach(island => {
+        if (island.bestIndividual && (!best || island.bestIndividual.distance > best.distance)) {
+          best = island.bestIndividual;
+        }
+      });
+      if (!best) return;
+      if (!this.hallOfFameCourse || this.hallOfFameCourse.source !== this.obstacles) {
+        this.hallOfFameCourse = {
+          source: this.obstacles,
+          copy: this.obstacles.map(obstacle => ({ ...obstacle, hit: false }))
+        };
+      }
+      const settings = this.settings;
+      if (!this.hallOfFameSettings || REPLAY_SETTING_KEYS.some(key => this.hallOfFameSettings[key] !== settings[key])) {
+        this.hallOfFameSettings = {};
+        REPLAY_SETTING_KEYS.forEach(key => {
+          this.hallOfFameSettings[key] = settings[key];
+        });
+      }
+      this.hallOfFame.push({
+        generation,
+        level: this.level,
+        courseId: this.courseId,
+        distance: best.distance,
+        fitness: best.fitness,
+        success: best.success,
+        genome: best.genome.slice(),
+        mutationStrength: best.mutationStrength,
+        course: this.hallOfFameCourse.copy,
+        settings: this.hallOfFameSettings
+      });
+    }
+
+    /**
+     * 全期間で最も遠くまで走った殿堂入りの記録。同じ距離なら早い世代を返す。
+     */
+    getAllTimeBest() {
+      let best = null;
+      this.hallOfFame.forEach(entry => {
+        if (!best || entry.distance > best.distance) {
+          best = entry;
+        }
+      });
+      return best;
+    }
+
+    /**
+     * 殿堂入りの記録 entry を再現する個体と、当たり判定用に複製したコース、走らせる設定を用意する。
+     * 個体の動きは遺伝子とコースと記録したときの設定だけで決まるため、何度再生しても同じ走りになる。
+     */
+    createReplay(entry) {
+      const settings = entry.settings ? Object.assign(Object.create(this.settings), entry.settings) : this.settings;
+      return {
+        entry,
+        settings,
+        runner: new Individual(entry.genome, settings, entry.mutationStrength),
+        course: entry.course.map(obstacle => ({ ...obstacle, hit: false }))
+      };
+    }
+
+    /**
+     * 世代 generation の終わりに島の間で移住を行うかどうか。比較モードでは設定 A・B を混ぜないので行わない。
+     */
+    isMigrationGeneration(generation) {
+      const interval = Math.round(this.settings.migrationInterval);
+      return !this.settings.comparisonMode && this.islands.length > 1 && this.settings.migrationCount > 0 && interval > 0 && generation % interval === 0;
+    }
+
+    /**
+     * 各島の上位個体 migrants[i] を、トポロジーに従ってほかの島の次世代へ送り込む。
+     *   - ring: 島 i から島 i + 1 へ（最後の島は最初の島へ）
+     *   - full: 島 i からほかのすべての島へ
+     */
+    migrate(migrants) {
+      const count = this.islands.length;
+      this.islands.forEach((island, target) => {
+        const incoming = [];
+        migrants.forEach((group, source) => {
+          if (source === target) return;
+          if (this.settings.migrationTopology === 'ring' && (source + 1) % count !== target) return;
+          incoming.push(...group);
+        });
+        island.acceptMigrants(incoming);
+      });
+    }
+  }
+
+  // 実験モードで振れる設定項目。choices があれば選択肢のどれか、なければ min〜max の数値（integer なら整数）。
+  const EXPERIMENT_PARAMETERS = {
+    populationSize: { label: '個体数', min: 4, max: 500, integer: true },
+    mutationRate: { label: '突然変異率', min: 0, max: 1 },
+    selectionMethod: { label: '選択方式', choices: ['roulette', 'tournament', 'rank', 'sus'] },
+    tournamentSize: { label: 'トーナメントサイズ', min: 2, max: 50, integer: true },
+    crossoverMethod: { label: '交叉方式', choices: ['single', 'two-point', 'uniform', 'blend'] },
+    crossoverRate: { label: '交叉率', min: 0, max: 1 },
+    courseLength: { label: 'コース長', min: 400, max: 3000, integer: true }
+  };
+
+  /**
+   * 実験の条件表を解析する。1 行に「キー: 値, 値, ...」を書き（キーは EXPERIMENT_PARAMETERS のキーか表示名）、
+   * # から行末まではコメント。戻り値は { parameters: [{ key, values }], issues }（issues の形は parseManualCourse() と同じ）。
+   */
+  function parseExperimentGrid(text) {
+    const parameters = [];
+    const issues = [];
+    (text || '').split('\n').forEach((rawLine, lineIndex) => {
+      const line = lineIndex + 1;
+      const content = rawLine.replace(/#.*$/, '').trim();
+      if (!content) return;
+      const report = (severity, entry, message) => issues.push({ severity, line, entry, message });
+      const match = content.match(/^([^:：]+)[:：](.*)$/);
+      if (!match) {
+        report('error', content, '「キー: 値, 値, ...」の形で書いてください');
+        return;
+      }
+      const name = match[1].trim();
+      const key = Object.keys(EXPERIMENT_PARAMETERS).find(item => item === name || EXPERIMENT_PARAMETERS[item].label === name);
+      if (!key) {
+        const known = Object.keys(EXPERIMENT_PARAMETERS).map(item => `${item}（${EXPERIMENT_PARAMETERS[item].label}）`).join('・');
+        report('error', name, `「${name}」は振れません。使えるキー: ${known}`);
+        return;
+      }
+      const definition = EXPERIMENT_PARAMETERS[key];
+      const values = [];
+      match[2].split(/[,、]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        if (definition.choices) {
+          if (!definition.choices.includes(part)) {
+            report('error', part, `${definition.label}に「${part}」は使えません。使える値: ${definition.choices.join('・')}`);
+            return;
+          }
+          values.push(part);
+          return;
+        }
+        const value = Number(part);
+        if (Number.isNaN(value) || value < definition.min || value > definition.max || (definition.integer && !Number.isInteger(value))) {
+          report('error', part, `${definition.label}には ${definition.min}〜${definition.max} の${definition.integer ? '整数' : '数値'}を書いてください`);
+          return;
+        }
+        values.push(value);
+      });
+      if (values.length === 0) return;
+      const previous = parameters.findIndex(parameter => parameter.key === key);
+      if (previous >= 0) {
+        report('warning', content, `${definition.label}が前の行にもあるため、この行の値を使います`);
+        parameters.splice(previous, 1);
+      }
+      parameters.push({ key, values: [...new Set(values)] });
+    });
+    return { parameters, issues };
+  }
+
+  /**
+   * 条件表のすべての組み合わせ（直積）を、設定の上書き値の配列にする。振る項目がなければ上書きなしの 1 通り。
+   */
+  function expandExperimentGrid(parameters) {
+    return parameters.reduce(
+      (cells, parameter) => cells.flatMap(cell => parameter.values.map(value => ({ ...cell, [parameter.key]: value }))),
+      [{}]
+    );
+  }
+
+  /**
+   * 終えた 1 回の実行の結果をまとめる。generationsToFinish は初めて完走者が出た世代（出なければ null）。
+   */
+  function summarizeRun(simulation) {
+    const firstFinish = simulation.history.find(record => record.completedCount > 0);
+    return {
+      generationsToFinish: firstFinish ? firstFinish.generation : null,
+      bestDistance: simulation.history.reduce((acc, record) => Math.max(acc, record.bestDistance), 0),
+      finalLevel: simulation.level,
+      generations: simulation.history.length,
+      stopReason: simulation.stopReason
+    };
+  }
+
+  /**
+   * 値の平均と標準偏差（不偏分散から求める。値が 1 つなら 0、ひとつもなければ null）。
+   */
+  function meanAndDeviation(values) {
+    if (values.length === 0) return { mean: null, std: null };
+    const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+    if (values.length < 2) return { mean, std: 0 };
+    const variance = values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / (values.length - 1);
+    return { mean, std: Math.sqrt(variance) };
+  }
+
+  /**
+   * 条件ごとに、繰り返した実行の結果（summarizeRun() の戻り値）を平均と標準偏差にまとめる。
+   * 初完走までの世代数は完走者が出た実行だけで求め、その回数を finished に入れる。
+   */
+  function summarizeExperimentCell(runs) {
+    const finishes = runs.filter(run => run.generationsToFinish !== null).map(run => run.generationsToFinish);
+    return {
+      runs: runs.length,
+      finished: finishes.length,
+      generationsToFinish: meanAndDeviation(finishes),
+      bestDistance: meanAndDeviation(runs.map(run => run.bestDistance)),
+      finalLevel: meanAndDeviation(runs.map(run => run.finalLevel))
+    };
+  }
+
+  return {
+    DEFAULT_SETTINGS,
+    MAX_ISLANDS,
+    ISLAND_OVERRIDE_KEYS,
+    COMPARISON_LANES,
+    COMPARISON_OVERRIDE_KEYS,
+    createSettings,
+    clamp,
+    mapValue,
+    normalizeSeed,
+    RandomGenerator,
+    NEURAL_INPUTS,
+    NEURAL_OUTPUTS,
+    getGenomeLength,
+    decodeNetwork,
+    runNetwork,
+    SELECTION_STRATEGIES,
+    PARETO_OBJECTIVES,
+    nonDominatedSort,
+    assignCrowdingDistance,
+    CROSSOVER_OPERATORS,
+    getLevelDifficulty,
+    getObstacleHeight,
+    getManualMultiplierRange,
+    MANUAL_HURDLE_WIDTH,
+    MANUAL_HURDLE_WIDTH_MIN,
+    MANUAL_HURDLE_WIDTH_MAX,
+    OBSTACLE_TYPES,
+    LEVEL_DIFFICULTY_KEYS,
+    STOP_REASONS,
+    parseLevelSchedule,
+    EXPERIMENT_PARAMETERS,
+    parseExperimentGrid,
+    expandExperimentGrid,
+    summarizeRun,
+    summarizeExperimentCell,
+    parseManualCourse,
+    buildManualCourse,
+    checkManualCourse,
+    isManualPositionInBounds,
+    generateRandomHurdles,
+    enforceObstacleSpacing,
+    validateSnapshot,
+    aggregateScores,
+    genomeDistance,
+    measureDiversity,
+    countCrashes,
+    computeFitness,
+    simulateRun,
+    Individual,
+    Population,
+    Simulation
+  };
+});
@@ -0,0 +1,66 @@
+/**
+ * sim-core.js のテスト。ブラウザを使わずに `node sim-core.test.js`（または `node --test`）で実行する。
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, createSettings } = require('./sim-core.js');
+
+/**
+ * 小さな個体群で指定した世代数だけ進めたシミュレーションを返す。
+ */
+function runGenerations(overrides, count) {
+  const simulation = new Simulation(createSettings({ populationSize: 20, ...overrides }));
+  for (let i = 0; i < count; i++) {
+    simulation.runGeneration();
+  }
+  return simulation;
+}
+
+test('同じシードなら世代履歴とコースが一致する', () => {
+  const first = runGenerations({ seedText: '42' }, 3);
+  const second = runGenerations({ seedText: '42' }, 3);
+  assert.strictEqual(first.history.length, 3);
+  assert.deepStrictEqual(second.history, first.history);
+  assert.deepStrictEqual(second.obstacles, first.obstacles);
+});
+
+test('シードが違えば世代履歴も変わる', () => {
+  const first = runGenerations({ seedText: '42' }, 3);
+  const second = runGenerations({ seedText: '43' }, 3);
+  assert.notDeepStrictEqual(second.history, first.history);
+});
+
+test('スナップショットから復元すると、元の実行と同じように続く', () => {
+  const original = runGenerations({ seedText: '7' }, 3);
+  const snapshot = JSON.parse(JSON.stringify(original.toSnapshot()));
+  const restored = new Simulation(createSettings());
+  restored.restoreSnapshot(snapshot);
+  assert.strictEqual(restored.settings.populationSize, 20);
+  for (let i = 0; i < 3; i++) {
+    original.runGeneration();
+    restored.runGeneration();
+  }
+  assert.strictEqual(restored.history.length, 6);
+  assert.deepStrictEqual(restored.history, original.history);
+  assert.deepStrictEqual(restored.obstacles, original.obstacles);
+});
+
+test('昇格した直後は停滞として数えず、新しいレベルで伸びなくなってから止まる', () => {
+  const stagnationGenerations = 5;
+  const simulation = new Simulation(createSettings({
+    seedText: '7',
+    populationSize: 20,
+    hurdleMode: 'manual',
+    manualHurdlesText: '200:1',
+    courseLength: 400,
+    stagnationGenerations,
+    maxGenerations: 40
+  }));
+  while (simulation.runGeneration()) {}
+  assert.strictEqual(simulation.stopReason, 'stagnation');
+  assert.ok(simulation.level > 1);
+  const levelRecords = simulation.history.filter(record => record.level === simulation.level);
+  const stagnant = levelRecords.slice(-stagnationGenerations);
+  const earlierBest = Math.max(...levelRecords.slice(0, -stagnationGenerations).map(record => record.bestDistance));
+  assert.ok(stagnant.every(record => record.bestDistance <= earlierBest));
+});
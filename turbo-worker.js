@@ -0,0 +1,84 @@
+/**
+ * 高速進化（ターボモード）と実験モード用の Web Worker。
+ * 描画を行わずにシミュレーションコアを全速で回し、世代ごと・実行ごとの結果をメイン側へ送り返す。
+ *
+ * 受け取るメッセージ:
+ *   { type: 'start', snapshot, generations } : スナップショットから再開し、指定世代数だけ進める
+ *   { type: 'experiment', runs }             : runs（{ settings } の配列）を順に終了条件まで走らせる
+ *   { type: 'stop' }                         : 実行中の世代を終えたところで打ち切る
+ * 送り返すメッセージ:
+ *   { type: 'generation', record } / { type: 'levelchange', level } / { type: 'complete', result }
+ *   { type: 'done', snapshot } : 最後に、メイン側の表示へ戻すためのスナップショット
+ *   { type: 'run', index, result } : 実験の 1 回分の結果（HurdleSim.summarizeRun() の戻り値）
+ *   { type: 'experimentdone' } : 実験の最後（打ち切ったときも送る）
+ */
+importScripts('sim-core.js');
+
+// 一度に走らせる時間（ミリ秒）。この間隔で stop メッセージを受け付ける。
+const SLICE_MS = 50;
+
+let simulation = null;
+let remaining = 0;
+let stopRequested = false;
+let experiment = null; // 実験中は { runs, index } を持つ。走らせている実行は simulation
+
+self.onmessage = event => {
+  const message = event.data;
+  if (message.type === 'start') {
+    simulation = HurdleSim.Simulation.fromSnapshot(message.snapshot);
+    simulation
+      .on('generation', record => self.postMessage({ type: 'generation', record }))
+      .on('levelchange', change => self.postMessage({ type: 'levelchange', level: change.level }))
+      .on('complete', result => self.postMessage({ type: 'complete', result }));
+    remaining = message.generations;
+    stopRequested = false;
+    runSlice();
+  } else if (message.type === 'experiment') {
+    experiment = { runs: message.runs, index: 0 };
+    simulation = null;
+    stopRequested = false;
+    runExperimentSlice();
+  } else if (message.type === 'stop') {
+    stopRequested = true;
+  }
+};
+
+/**
+ * 一定時間だけ世代を進め、続きがあれば次のタスクへ回す。
+ */
+function runSlice() {
+  const sliceStart = Date.now();
+  while (!stopRequested && remaining > 0 && !simulation.completed) {
+    simulation.runGeneration();
+    remaining -= 1;
+    if (Date.now() - sliceStart >= SLICE_MS) {
+      setTimeout(runSlice, 0);
+      return;
+    }
+  }
+  self.postMessage({ type: 'done', snapshot: simulation.toSnapshot() });
+}
+
+/**
+ * 実験の実行を一定時間だけ進める。1 回分が終了条件に達するたびに結果を送り、次の実行に移る。
+ */
+function runExperimentSlice() {
+  const sliceStart = Date.now();
+  while (!stopRequested && experiment.index < experiment.runs.length) {
+    if (!simulation) {
+      simulation = new HurdleSim.Simulation(experiment.runs[experiment.index].settings);
+    }
+    simulation.runGeneration();
+    if (simulation.completed) {
+      self.postMessage({ type: 'run', index: experiment.index, result: HurdleSim.summarizeRun(simulation) });
+      simulation = null;
+      experiment.index += 1;
+    }
+    if (Date.now() - sliceStart >= SLICE_MS) {
+      setTimeout(runExperimentSlice, 0);
+      return;
+    }
+  }
+  experiment = null;
+  self.postMessage({ type: 'experimentdone' });
+}